@@ -10,15 +10,187 @@
     ".skin-selection-item-information.loyalty-reward-icon--rewards";
   const HISTORIC_FLAG_ASSET_PATH = "historic_flag.png";
   const SHOW_SKIN_NAME_ID = "historic-popup-layer";
+  const HISTORIC_TOGGLE_ID = "rose-historic-toggle";
+  const FLAG_HITBOX_CLASS = "lu-historic-flag-hitbox";
+  const CAROUSEL_BADGE_CLASS = "lu-historic-badge";
+  // Shared badge registry on window.__roseBadgeRegistry (see getBadgeRegistry)
+  const BADGE_REGISTRY_VERSION = 1;
+  const HISTORIC_BADGE_ID = "historic";
+  const HISTORIC_BADGE_PRIORITY = 10;
+  const FLAG_SIZE_PX = 32;
+  const FLAG_OFFSET_PX = -14;
+  const FLAG_RETRY_LIMIT = 5; // Rewards element lookups before giving up
+  const FLAG_TOOLTIP_ID = "rose-historic-flag-tooltip";
+  const VARIANT_CHOICES_STORAGE_KEY = "rose_historic_variant_choices"; // { [skinId]: historicSkinId }
+  // Hosts accepted for asset URLs; all of them are rewritten to 127.0.0.1
+  const LOOPBACK_HOSTS = new Set(["127.0.0.1", "localhost", "[::1]"]);
   // WebSocket bridge for receiving historic state from Python
   let BRIDGE_PORT = 50000; // Default, will be updated from /bridge-port endpoint
   let BRIDGE_URL = `ws://127.0.0.1:${BRIDGE_PORT}`;
   const BRIDGE_PORT_STORAGE_KEY = "rose_bridge_port";
-  const DISCOVERY_START_PORT = 50000;
+  const BRIDGE_TOKEN_STORAGE_KEY = "rose_bridge_token";
+  let BRIDGE_TOKEN = null; // Per-session token handed out by discovery, sent in `hello`
+  const DISCOVERY_START_PORT = 50000; // Also the default port Python binds first
   const DISCOVERY_END_PORT = 50010;
+  const DISCOVERY_MAX_RANGE_PORTS = 64; // Every port is probed at once, so keep the burst small
+  const DISCOVERY_PROBE_TIMEOUT_MS = 100;
+  const DISCOVERY_CACHED_TIMEOUT_MS = 50;
+  let bridgeDiscoverySource = null; // "override" | "cache" | "default" | "scan" | "simulator"
   let bridgeSocket = null;
-  let bridgeReady = false;
-  let bridgeQueue = [];
+  let bridgeReady = false; // True once the hello/hello-ack handshake has completed
+
+  // Outbound queue while the bridge is not ready: bounded, with a control lane that
+  // always flushes before log chatter. Control messages survive a reload via sessionStorage.
+  const OUTBOX_MAX_SIZE = 200;
+  const OUTBOX_LOG_TTL_MS = 30000;
+  const OUTBOX_CONTROL_TTL_MS = 5 * 60 * 1000;
+  const OUTBOX_STORAGE_KEY = "rose_historic_outbox";
+  const LOG_MESSAGE_TYPES = new Set(["chroma-log", "chroma-log-batch"]);
+  const bridgeOutbox = { control: [], log: [] }; // Entries: { payload, key, expiresAt }
+
+  // Log lines ship as periodic `chroma-log-batch` frames; identical lines inside one window
+  // collapse into a single entry with a `count`. Control traffic never waits on this.
+  const LOG_BATCH_WINDOW_MS = 1000;
+  const LOG_BATCH_MAX_ENTRIES = 50; // Flush early once a batch is this big
+  const LOG_BATCH_MAX_PENDING = 500; // Oldest entries are dropped (and counted) past this
+  const LOG_BACKPRESSURE_BYTES = 64 * 1024; // Hold batches while the socket is this far behind
+  const logBatch = { entries: [], byKey: new Map(), dropped: 0, timer: null };
+
+  // Bridge connection state machine: disconnected → discovering → connecting → open → backoff
+  const BRIDGE_STATES = Object.freeze({
+    DISCONNECTED: "disconnected",
+    DISCOVERING: "discovering",
+    CONNECTING: "connecting",
+    OPEN: "open",
+    BACKOFF: "backoff",
+  });
+  const RECONNECT_BASE_DELAY_MS = 500;
+  const RECONNECT_MAX_DELAY_MS = 30000;
+  const REDISCOVER_AFTER_FAILURES = 3; // Re-run port discovery every N failed attempts
+  let bridgeState = BRIDGE_STATES.DISCONNECTED;
+  let bridgeFailureCount = 0; // Consecutive attempts that ended without completing the handshake
+  let bridgeNeedsDiscovery = true;
+  let bridgeRetryTimer = null;
+  const bridgeStateListeners = new Set();
+
+  // Request/response correlation: outgoing requests carry a requestId the backend echoes back
+  const BRIDGE_REQUEST_TIMEOUT_MS = 10000;
+  let bridgeRequestCounter = 0;
+  const pendingBridgeRequests = new Map(); // requestId -> { type, match, resolve, reject, timer }
+
+  // Application-level heartbeat: catches half-open sockets that never fire onclose
+  const HEARTBEAT_INTERVAL_MS = 5000;
+  const HEARTBEAT_TIMEOUT_MS = 15000; // Force-close after this long without a pong
+  const LATENCY_SAMPLE_COUNT = 10;
+  let heartbeatTimer = null;
+  let heartbeatCounter = 0;
+  let lastPongAt = 0;
+  const pendingPings = new Map(); // pingId -> performance.now() when sent
+  const latencySamples = []; // Most recent round-trip times in ms, oldest first
+
+  // Bridge protocol handshake
+  const PLUGIN_VERSION = "1.0.0";
+  const BRIDGE_PROTOCOL_VERSION = 1;
+  const HANDSHAKE_TIMEOUT_MS = 2000;
+  // Message types this plugin sends or handles, advertised in the `hello` message
+  const PLUGIN_CAPABILITIES = [
+    "chroma-log",
+    "chroma-log-batch",
+    "request-local-asset",
+    "dismiss-historic",
+    "dismiss-custom-mod",
+    "historic-state",
+    "custom-mod-state",
+    "skin-state",
+    "local-asset-url",
+    "phase-change",
+    "request-state-snapshot",
+    "state-snapshot",
+    "ping",
+    "pong",
+    "protocol-error",
+    "set-historic",
+    "select-historic-variant",
+    "historic-availability",
+  ];
+  let bridgeHandshakeTimer = null;
+  // The session token only shows the backend answered discovery, which any local process can
+  // do. With a pairing key set (copied from Rose once), the backend must also sign this
+  // per-connection challenge with it before it is trusted.
+  let bridgeChallenge = null;
+  let bridgePaired = false; // True when the current connection proved the pairing key
+  let backendInfo = null; // { version, protocolVersion, capabilities } once authenticated
+  const droppedUnsupportedTypes = new Set(); // Warn only once per unsupported message type
+
+  // Declared shape of every inbound message, checked before dispatch.
+  // Field specs list allowed types separated by "|", "?" marks the field optional,
+  // "@name" means a nested object validated against the schema of that name, and
+  // "@name[]" an array of such objects.
+  const INBOUND_SCHEMAS = {
+    "hello-ack": {
+      authenticated: "boolean",
+      version: "string|null?",
+      protocolVersion: "number?",
+      capabilities: "array?",
+      proof: "string?",
+    },
+    "historic-state": {
+      active: "boolean",
+      skinId: "number|string|null?",
+      historicSkinId: "number|string|null?",
+      historicSkinName: "string|null?",
+      historicCandidates: "@historic-candidate[]|null?",
+      historicPatch: "string|null?",
+      historicDate: "string|null?",
+      injectionReady: "boolean?",
+    },
+    "custom-mod-state": {
+      active: "boolean",
+      modName: "string|null?",
+      skinId: "number|string|null?",
+    },
+    "skin-state": {
+      skinId: "number|string|null?",
+    },
+    "local-asset-url": {
+      assetPath: "string",
+      // Absent on error replies, which carry `error` instead
+      url: "string?",
+    },
+    "phase-change": {
+      phase: "string|null",
+    },
+    "state-snapshot": {
+      phase: "string|null?",
+      skin: "@skin-state|null?",
+      historic: "@historic-state|null?",
+      customMod: "@custom-mod-state|null?",
+      availability: "@historic-availability|null?",
+    },
+    "historic-availability": {
+      championId: "number|string|null?",
+      skinIds: "array",
+    },
+    pong: {
+      pingId: "number",
+    },
+  };
+  // Shapes that only appear nested inside messages
+  const NESTED_SCHEMAS = {
+    "historic-candidate": {
+      id: "number|string",
+      name: "string",
+      patch: "string|null?",
+      thumbnailAsset: "string|null?",
+    },
+  };
+  // Correlation fields any message may carry
+  const COMMON_FIELDS = {
+    requestId: "string?",
+    error: "string?",
+    timestamp: "number?",
+  };
+  const unknownMessageCounts = new Map(); // type -> number of messages received
 
   /**
    * Escape HTML special characters to prevent XSS (CWE-79)
@@ -35,344 +207,1950 @@
       .replace(/'/g, '&#039;');
   }
 
-  // Load bridge port with file-based discovery and localStorage caching
-  async function loadBridgePort() {
+  // Discovery answers `{"port": <n>, "token": "<session token>"}`; anything without a token is refused
+  function parseBridgePortResponse(text) {
+    let info;
     try {
-      // First, check localStorage for cached port
-      const cachedPort = localStorage.getItem(BRIDGE_PORT_STORAGE_KEY);
-      if (cachedPort) {
-        const port = parseInt(cachedPort, 10);
-        if (!isNaN(port) && port > 0) {
-          // Verify cached port is still valid with shorter timeout
-          try {
-            const response = await fetch(
-              `http://127.0.0.1:${port}/bridge-port`,
-              {
-                signal: AbortSignal.timeout(50),
-              }
-            );
-            if (response.ok) {
-              const portText = await response.text();
-              const fetchedPort = parseInt(portText.trim(), 10);
-              if (!isNaN(fetchedPort) && fetchedPort > 0) {
-                BRIDGE_PORT = fetchedPort;
-                BRIDGE_URL = `ws://127.0.0.1:${BRIDGE_PORT}`;
-                console.log(
-                  `${LOG_PREFIX} Loaded bridge port from cache: ${BRIDGE_PORT}`
-                );
-                return true;
-              }
-            }
-          } catch (e) {
-            // Cached port invalid, continue to discovery
-            localStorage.removeItem(BRIDGE_PORT_STORAGE_KEY);
-          }
-        }
-      }
+      info = JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+    if (!info || typeof info !== "object") {
+      return null;
+    }
+    const port = parseInt(info.port, 10);
+    if (isNaN(port) || port <= 0 || typeof info.token !== "string" || !info.token) {
+      return null;
+    }
+    return { port: port, token: info.token };
+  }
 
-      // OPTIMIZATION: Try default port 50000 FIRST before scanning all ports
-      try {
-        const response = await fetch(`http://127.0.0.1:50000/bridge-port`, {
-          signal: AbortSignal.timeout(50),
-        });
-        if (response.ok) {
-          const portText = await response.text();
-          const fetchedPort = parseInt(portText.trim(), 10);
-          if (!isNaN(fetchedPort) && fetchedPort > 0) {
-            BRIDGE_PORT = fetchedPort;
-            BRIDGE_URL = `ws://127.0.0.1:${BRIDGE_PORT}`;
-            localStorage.setItem(BRIDGE_PORT_STORAGE_KEY, String(BRIDGE_PORT));
-            console.log(`${LOG_PREFIX} Loaded bridge port: ${BRIDGE_PORT}`);
-            return true;
-          }
-        }
-      } catch (e) {
-        // Port 50000 not ready, continue to discovery
-      }
+  function applyDiscoveredBridge(info) {
+    BRIDGE_PORT = info.port;
+    BRIDGE_URL = `ws://127.0.0.1:${BRIDGE_PORT}`;
+    BRIDGE_TOKEN = info.token;
+    localStorage.setItem(BRIDGE_PORT_STORAGE_KEY, String(BRIDGE_PORT));
+    localStorage.setItem(BRIDGE_TOKEN_STORAGE_KEY, BRIDGE_TOKEN);
+  }
 
-      // OPTIMIZATION: Try fallback port 50001 SECOND
-      try {
-        const response = await fetch(`http://127.0.0.1:50001/bridge-port`, {
-          signal: AbortSignal.timeout(50),
-        });
-        if (response.ok) {
-          const portText = await response.text();
-          const fetchedPort = parseInt(portText.trim(), 10);
-          if (!isNaN(fetchedPort) && fetchedPort > 0) {
-            BRIDGE_PORT = fetchedPort;
-            BRIDGE_URL = `ws://127.0.0.1:${BRIDGE_PORT}`;
-            localStorage.setItem(BRIDGE_PORT_STORAGE_KEY, String(BRIDGE_PORT));
-            console.log(`${LOG_PREFIX} Loaded bridge port: ${BRIDGE_PORT}`);
-            return true;
+  function clearCachedBridge() {
+    localStorage.removeItem(BRIDGE_PORT_STORAGE_KEY);
+    localStorage.removeItem(BRIDGE_TOKEN_STORAGE_KEY);
+  }
+
+  function isValidPort(port) {
+    return Number.isInteger(port) && port > 0 && port <= 65535;
+  }
+
+  // Range and override are user settings, so they survive client restarts
+  function getDiscoveryConfig() {
+    return {
+      startPort: getSetting("discoveryStartPort"),
+      endPort: getSetting("discoveryEndPort"),
+      overridePort: getSetting("bridgePortOverride"),
+    };
+  }
+
+  // Fetch one discovery endpoint; resolves to { port, token, sourcePort } or rejects
+  async function probeBridgePort(port, endpoint, signal) {
+    const response = await fetch(`http://127.0.0.1:${port}${endpoint}`, {
+      signal: signal,
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const info = parseBridgePortResponse(await response.text());
+    if (!info) {
+      throw new Error("No session token in discovery response");
+    }
+    return { port: info.port, token: info.token, sourcePort: port };
+  }
+
+  // Probe all ports at once; the answer from the earliest port in `ports` wins, so whoever
+  // answers fastest cannot jump ahead of a preferred port. The others are then aborted.
+  function probePreferred(ports, endpoint, timeoutMs) {
+    if (ports.length === 0) {
+      return Promise.resolve(null);
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    return new Promise((resolve) => {
+      const results = new Array(ports.length); // undefined while pending, null once failed
+      const settle = () => {
+        for (const result of results) {
+          if (result === undefined) {
+            return; // A port ahead of the others may still answer
+          }
+          if (result) {
+            controller.abort();
+            resolve(result);
+            return;
           }
         }
-      } catch (e) {
-        // Port 50001 not ready, continue to discovery
-      }
-
-      // OPTIMIZATION: Parallel port discovery instead of sequential
-      const portPromises = [];
-      for (
-        let port = DISCOVERY_START_PORT;
-        port <= DISCOVERY_END_PORT;
-        port++
-      ) {
-        portPromises.push(
-          fetch(`http://127.0.0.1:${port}/bridge-port`, {
-            signal: AbortSignal.timeout(100),
-          })
-            .then((response) => {
-              if (response.ok) {
-                return response.text().then((portText) => {
-                  const fetchedPort = parseInt(portText.trim(), 10);
-                  if (!isNaN(fetchedPort) && fetchedPort > 0) {
-                    return { port: fetchedPort, sourcePort: port };
-                  }
-                  return null;
-                });
-              }
-              return null;
-            })
-            .catch(() => null)
+        resolve(null);
+      };
+      ports.forEach((port, index) => {
+        probeBridgePort(port, endpoint, controller.signal).then(
+          (info) => {
+            results[index] = info;
+            settle();
+          },
+          () => {
+            results[index] = null;
+            settle();
+          }
         );
-      }
+      });
+    }).finally(() => clearTimeout(timer));
+  }
 
-      // Wait for first successful response
-      const results = await Promise.allSettled(portPromises);
-      for (const result of results) {
-        if (result.status === "fulfilled" && result.value) {
-          BRIDGE_PORT = result.value.port;
-          BRIDGE_URL = `ws://127.0.0.1:${BRIDGE_PORT}`;
-          localStorage.setItem(BRIDGE_PORT_STORAGE_KEY, String(BRIDGE_PORT));
-          console.log(`${LOG_PREFIX} Loaded bridge port: ${BRIDGE_PORT}`);
-          return true;
-        }
-      }
+  /**
+   * Find the bridge. Order: user override, cached port (only while its token is
+   * unchanged), then the configured range on /bridge-port, last-known port first and then
+   * the lowest port that answers. Backends that only expose the
+   * legacy /port endpoint hand out no session token and cannot authenticate, so they are
+   * not probed.
+   * @param {{startPort?: number, endPort?: number, overridePort?: number|null}} [options]
+   * @returns {Promise<{port: number, token: string, source: string}|null>}
+   */
+  async function discoverBridgePort(options = {}) {
+    const config = { ...getDiscoveryConfig(), ...options };
 
-      // Fallback: try old /port endpoint (parallel as well)
-      const legacyPromises = [];
-      for (
-        let port = DISCOVERY_START_PORT;
-        port <= DISCOVERY_END_PORT;
-        port++
-      ) {
-        legacyPromises.push(
-          fetch(`http://127.0.0.1:${port}/port`, {
-            signal: AbortSignal.timeout(100),
-          })
-            .then((response) => {
-              if (response.ok) {
-                return response.text().then((portText) => {
-                  const fetchedPort = parseInt(portText.trim(), 10);
-                  if (!isNaN(fetchedPort) && fetchedPort > 0) {
-                    return { port: fetchedPort, sourcePort: port };
-                  }
-                  return null;
-                });
-              }
-              return null;
-            })
-            .catch(() => null)
-        );
-      }
+    // A manual override is authoritative: never silently fall back to another backend
+    if (config.overridePort) {
+      const info = await probePreferred(
+        [config.overridePort],
+        "/bridge-port",
+        DISCOVERY_PROBE_TIMEOUT_MS
+      );
+      return info ? { ...info, source: "override" } : null;
+    }
 
-      const legacyResults = await Promise.allSettled(legacyPromises);
-      for (const result of legacyResults) {
-        if (result.status === "fulfilled" && result.value) {
-          BRIDGE_PORT = result.value.port;
-          BRIDGE_URL = `ws://127.0.0.1:${BRIDGE_PORT}`;
-          localStorage.setItem(BRIDGE_PORT_STORAGE_KEY, String(BRIDGE_PORT));
-          console.log(
-            `${LOG_PREFIX} Loaded bridge port (legacy): ${BRIDGE_PORT}`
-          );
-          return true;
-        }
+    const cachedPort = parseInt(localStorage.getItem(BRIDGE_PORT_STORAGE_KEY), 10);
+    const cachedToken = localStorage.getItem(BRIDGE_TOKEN_STORAGE_KEY);
+    if (isValidPort(cachedPort) && cachedToken) {
+      const info = await probePreferred(
+        [cachedPort],
+        "/bridge-port",
+        DISCOVERY_CACHED_TIMEOUT_MS
+      );
+      // A different token means a different session: rediscover from scratch
+      if (info && info.token === cachedToken) {
+        return { ...info, source: "cache" };
       }
+      clearCachedBridge();
+    }
+
+    const ports = [];
+    for (let port = config.startPort; port <= config.endPort; port++) {
+      ports.push(port);
+    }
+    // The backend usually comes back on the port it had before, even with a new token
+    if (ports.includes(cachedPort)) {
+      ports.splice(ports.indexOf(cachedPort), 1);
+      ports.unshift(cachedPort);
+    }
 
-      console.warn(
-        `${LOG_PREFIX} Failed to load bridge port, using default (50000)`
+    const scanned = await probePreferred(ports, "/bridge-port", DISCOVERY_PROBE_TIMEOUT_MS);
+    if (!scanned) {
+      return null;
+    }
+    return {
+      ...scanned,
+      source: scanned.sourcePort === DISCOVERY_START_PORT ? "default" : "scan",
+    };
+  }
+
+  // Load bridge port with file-based discovery and localStorage caching
+  async function loadBridgePort() {
+    try {
+      const info = await discoverBridgePort();
+      if (!info) {
+        console.warn(`${LOG_PREFIX} Failed to discover an authenticated bridge`);
+        return false;
+      }
+      applyDiscoveredBridge(info);
+      bridgeDiscoverySource = info.source;
+      console.log(
+        `${LOG_PREFIX} Loaded bridge port (${info.source}): ${BRIDGE_PORT}`
       );
-      return false;
+      return true;
     } catch (e) {
       console.warn(`${LOG_PREFIX} Error loading bridge port:`, e);
       return false;
     }
   }
 
+  // Pass null to go back to automatic discovery
+  function setBridgePortOverride(port) {
+    updateSettings({ bridgePortOverride: port });
+  }
+
+  function setDiscoveryPortRange(startPort, endPort) {
+    updateSettings({ discoveryStartPort: startPort, discoveryEndPort: endPort });
+  }
+
+  // Drop the current connection (if any) and run discovery again right away
+  function rediscoverBridge() {
+    bridgeNeedsDiscovery = true;
+    if (bridgeSocket) {
+      abandonBridgeSocket("rediscovery requested");
+    }
+    connectBridge(); // No-op while a discovery is already running
+  }
+
   let historicModeActive = false;
-  let customModPopupActive = false; // Track if popup was shown by custom mod
+  let historicConfirmedActive = false; // `active` of the last historic-state; the toggle follows it
   let currentRewardsElement = null;
   let historicFlagImageUrl = null; // HTTP URL from Python
-  const pendingHistoricFlagRequest = new Map(); // Track pending requests
+  let historicFlagRequest = null; // In-flight request-local-asset for the flag image
   let isInChampSelect = false; // Track if we're in ChampSelect phase
+  let currentSkinId = null; // Last skin reported by skin-state
+  let historicTogglePending = false; // A set-historic request is waiting for its historic-state reply
+  const localAssetUrls = new Map(); // assetPath -> sanitized URL received from Python
+  let historicAvailableSkinIds = new Set(); // Skins of the current champion with a historic version
+  let historicDetails = null; // { name, patch, date, injectionReady } from the last active historic-state
+  const autoSelectedVariants = new Set(); // "skinId:variantId" already re-applied this session
+
+  // DOM observation is scoped to the skin carousel and only runs during champ select
+  const CAROUSEL_SELECTOR = ".skin-selection-carousel";
+  const CAROUSEL_WATCHDOG_INTERVAL_MS = 500; // Re-finds the carousel after it is (re)rendered
+  let carouselObserver = null;
+  let observedCarousel = null;
+  let carouselWatchdog = null;
+  let carouselFrame = null; // Pending requestAnimationFrame id
+  let carouselUpdateForced = false;
+  let lastSelectedItem = null;
+  let lastFlagStateKey = null;
+
+  // Popup appearance presets; the selected one drives the injected popup stylesheet
+  const POPUP_STYLE_ID = "rose-historic-mode-popup-styles";
+  const DEFAULT_POPUP_THEME = "client";
+  const POPUP_THEMES = {
+    client: {
+      label: "Client default",
+      textColor: "#b2a580",
+      background: "#010a13",
+      fontSize: "14px",
+      lineHeight: "1.4",
+      gap: "6px",
+      maxWidth: "300px",
+      paddingX: "25px",
+      frameBorder: "none",
+      frameShadow: "0 0 10px 1px rgba(0,0,0,0.5)",
+      subBorders: true,
+      closeButtonColor: "rgba(0,0,0,0.7)",
+      closeButtonHoverColor: "rgba(200,50,50,0.8)",
+    },
+    "high-contrast": {
+      label: "High contrast",
+      textColor: "#ffffff",
+      background: "#000000",
+      fontSize: "15px",
+      lineHeight: "1.5",
+      gap: "6px",
+      maxWidth: "320px",
+      paddingX: "25px",
+      frameBorder: "2px solid #f0e6d2",
+      frameShadow: "0 0 0 2px #000000",
+      subBorders: false,
+      closeButtonColor: "#000000",
+      closeButtonHoverColor: "#d13639",
+    },
+    compact: {
+      label: "Compact",
+      textColor: "#b2a580",
+      background: "#010a13",
+      fontSize: "12px",
+      lineHeight: "1.25",
+      gap: "3px",
+      maxWidth: "240px",
+      paddingX: "12px",
+      frameBorder: "none",
+      frameShadow: "0 0 6px 1px rgba(0,0,0,0.5)",
+      subBorders: true,
+      closeButtonColor: "rgba(0,0,0,0.7)",
+      closeButtonHoverColor: "rgba(200,50,50,0.8)",
+    },
+  };
+
+  // Where the popup sits; each placement resolves an anchor point in viewport coordinates
+  // (or null when its anchor isn't on screen, which falls back to the legacy position)
+  const DEFAULT_POPUP_PLACEMENT = "above-carousel";
+  const POPUP_ANCHOR_GAP_PX = 12;
+  const POPUP_EDGE_MARGIN_PX = 16;
+  const CHAMPION_NAME_SELECTORS = [".champion-name", ".skin-name-text", ".skin-name"];
+  const POPUP_PLACEMENTS = {
+    "above-carousel": { label: "Above the skin carousel", resolve: resolveAboveCarousel },
+    "below-champion-name": { label: "Below the champion name", resolve: resolveBelowChampionName },
+    "top-left": { label: "Top left corner", resolve: () => resolveCorner("top", "left") },
+    "top-right": { label: "Top right corner", resolve: () => resolveCorner("top", "right") },
+    "bottom-left": { label: "Bottom left corner", resolve: () => resolveCorner("bottom", "left") },
+    "bottom-right": { label: "Bottom right corner", resolve: () => resolveCorner("bottom", "right") },
+  };
+  let popupResizeObserver = null;
+  let popupObservedAnchor = null;
+  let popupPlacementFrame = null; // Pending requestAnimationFrame id
+
+  // Toasts currently on screen, in insertion order: id -> { id, source, element, timer, onDismiss }
+  const TOAST_LIFETIME_MS = 125000;
+  const MAX_VISIBLE_TOASTS = 3;
+  const toasts = new Map();
+  let toastCounter = 0;
+
+  // Log entries go to three sinks (console, bridge, memory), each with its own minimum level.
+  // The memory sink is a ring buffer browsable in the log viewer (Ctrl+Shift+L).
+  const LOG_LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40, off: Infinity });
+  const LOG_LEVEL_OPTIONS = {
+    debug: { label: "Debug" },
+    info: { label: "Info" },
+    warn: { label: "Warning" },
+    error: { label: "Error" },
+    off: { label: "Off" },
+  };
+  const LOG_BUFFER_SIZE = 500;
+  const LOG_VIEWER_ID = "rose-historic-log-viewer";
+  const logBuffer = { entries: new Array(LOG_BUFFER_SIZE), next: 0, size: 0 };
+  let logSequence = 0;
+  let logViewerFrame = null; // Pending requestAnimationFrame id
+
+  // Diagnostics overlay (Ctrl+Shift+D): a live snapshot of bridge and DOM health
+  const DIAGNOSTICS_PANEL_ID = "rose-historic-diagnostics";
+  const DIAGNOSTICS_REFRESH_MS = 1000;
+  const lastInboundMessages = new Map(); // type -> { receivedAt, payload } of the latest one
+  let diagnosticsTimer = null;
+
+  // Opt-in traffic recorder: inbound/outbound bridge messages and key state transitions,
+  // redacted on capture and exported as JSONL (first line is a header)
+  const RECORDER_MAX_ENTRIES = 2000;
+  const RECORDER_MAX_RAW_CHARS = 2000; // Unparseable frames are kept as (truncated) text
+  const RECORDING_FORMAT_VERSION = 1;
+  const REDACTED_VALUE = "[redacted]";
+  // Entries: { t, dir: "in" | "out" | "state", payload }; inbound frames that are not valid
+  // messages also carry `malformed: true`, and unparseable ones `raw` instead of a payload
+  let trafficRecording = [];
+  let recordingStartedAt = null;
+
+  // Offline simulator: a fake socket stands in for the bridge so scripted timelines (or
+  // exported recordings) drive the plugin. Enabled by the `simulatorEnabled` setting or the
+  // URL flag; `?rose-historic-sim=<url>` also loads and runs a script or recording from <url>.
+  // Scripted asset URLs must point at 127.0.0.1 on BRIDGE_PORT to pass sanitizeAssetUrl.
+  const SIMULATOR_URL_FLAG = "rose-historic-sim";
+  const SIMULATOR_EXPECT_TIMEOUT_MS = 1000;
+  const SIMULATOR_MAX_OUTBOUND = 1000;
+  const SIMULATOR_REPLAY_MAX_DELAY_MS = 5000; // Long idle gaps in recordings are shortened
+  // Answered by the simulated socket itself, so recorded copies are skipped on replay
+  const SIMULATOR_REPLAY_SKIPPED_TYPES = new Set(["hello-ack", "pong"]);
+  let simulator = null; // { socket, outbound: [{ t, payload, consumed }], waiters: Set }
+
+  // User settings: one versioned object in localStorage. Bump SETTINGS_VERSION and add a
+  // migration whenever a stored field is renamed or moved.
+  const SETTINGS_STORAGE_KEY = "rose_historic_settings";
+  const SETTINGS_VERSION = 1;
+  const SETTINGS_PANEL_ID = "rose-historic-settings";
+  const SETTINGS_DEFAULTS = Object.freeze({
+    popupLifetimeMs: TOAST_LIFETIME_MS,
+    popupTheme: DEFAULT_POPUP_THEME,
+    popupPlacement: DEFAULT_POPUP_PLACEMENT,
+    flagSizePx: FLAG_SIZE_PX,
+    flagOffsetXPx: FLAG_OFFSET_PX,
+    flagOffsetYPx: FLAG_OFFSET_PX,
+    flagRetryLimit: FLAG_RETRY_LIMIT,
+    discoveryStartPort: DISCOVERY_START_PORT,
+    discoveryEndPort: DISCOVERY_END_PORT,
+    bridgePortOverride: null,
+    bridgePairingKey: null,
+    logConsoleLevel: "info",
+    logBridgeLevel: "info",
+    logMemoryLevel: "debug",
+    recorderEnabled: false,
+    // A bare key matches at any depth; a dotted path matches from the message root ("*" = any key)
+    recorderRedactionRules: Object.freeze(["token"]),
+    simulatorEnabled: false,
+  });
+  // Validation rules, also used to build the settings panel (in this order)
+  const SETTINGS_FIELDS = {
+    popupLifetimeMs: { label: "Popup lifetime (ms)", min: 1000, max: 600000 },
+    popupTheme: { label: "Popup theme", options: POPUP_THEMES },
+    popupPlacement: { label: "Popup placement", options: POPUP_PLACEMENTS },
+    flagSizePx: { label: "Flag size (px)", min: 8, max: 128 },
+    flagOffsetXPx: { label: "Flag horizontal offset (px)", min: -64, max: 64 },
+    flagOffsetYPx: { label: "Flag vertical offset (px)", min: -64, max: 64 },
+    flagRetryLimit: { label: "Flag lookup retries", min: 0, max: 20 },
+    discoveryStartPort: { label: "Discovery start port", min: 1, max: 65535 },
+    discoveryEndPort: { label: "Discovery end port", min: 1, max: 65535 },
+    bridgePortOverride: { label: "Bridge port override", min: 1, max: 65535, optional: true },
+    bridgePairingKey: { label: "Bridge pairing key", type: "secret" },
+    logConsoleLevel: { label: "Console log level", options: LOG_LEVEL_OPTIONS },
+    logBridgeLevel: { label: "Bridge log level", options: LOG_LEVEL_OPTIONS },
+    logMemoryLevel: { label: "Log viewer level", options: LOG_LEVEL_OPTIONS },
+    recorderEnabled: { label: "Record bridge traffic", type: "boolean" },
+    recorderRedactionRules: { label: "Redacted fields", type: "list" },
+    simulatorEnabled: { label: "Offline simulator", type: "boolean" },
+  };
+  // Migration N turns version N-1 values into version N values
+  const SETTINGS_MIGRATIONS = {
+    // 1: fold in the standalone keys written before the settings store existed
+    1: (values) => {
+      const migrated = { ...values };
+      const theme = localStorage.getItem("rose_historic_popup_theme");
+      if (theme !== null) migrated.popupTheme = theme;
+      const placement = localStorage.getItem("rose_historic_popup_placement");
+      if (placement !== null) migrated.popupPlacement = placement;
+      try {
+        const range = JSON.parse(localStorage.getItem("rose_bridge_port_range") || "null");
+        if (range) {
+          migrated.discoveryStartPort = range.start;
+          migrated.discoveryEndPort = range.end;
+        }
+      } catch (e) {
+        // Unreadable range: keep the defaults
+      }
+      const override = parseInt(localStorage.getItem("rose_bridge_port_override"), 10);
+      if (!isNaN(override)) migrated.bridgePortOverride = override;
+      [
+        "rose_historic_popup_theme",
+        "rose_historic_popup_placement",
+        "rose_bridge_port_range",
+        "rose_bridge_port_override",
+      ].forEach((key) => localStorage.removeItem(key));
+      return migrated;
+    },
+  };
+  let settings = { ...SETTINGS_DEFAULTS }; // Replaced by loadSettings() in init
+  const settingsListeners = new Set();
 
   const CSS_RULES = `
-    .skin-selection-item-information.loyalty-reward-icon--rewards.lu-historic-flag-active {
-      background-repeat: no-repeat !important;
-      background-size: contain !important;
-      height: 32px !important;
-      width: 32px !important;
-      position: absolute !important;
-      right: -14px !important;
-      top: -14px !important;
-      pointer-events: none !important;
-      cursor: default !important;
-      -webkit-user-select: none !important;
-      list-style-type: none !important;
-      content: " " !important;
+    #${HISTORIC_TOGGLE_ID} {
+      position: absolute;
+      top: 8px;
+      right: 8px;
+      z-index: 1;
+      padding: 3px 10px;
+      border: 1px solid #785a28;
+      background: rgba(1, 10, 19, 0.85);
+      color: #a09b8c;
+      font-family: "LoL Body", Arial, "Helvetica Neue", Helvetica, sans-serif;
+      font-size: 11px;
+      letter-spacing: 0.05em;
+      text-transform: uppercase;
+      cursor: pointer;
+      -webkit-user-select: none;
+    }
+    #${HISTORIC_TOGGLE_ID}:hover {
+      color: #f0e6d2;
+      border-color: #c8aa6e;
+    }
+    #${HISTORIC_TOGGLE_ID}.active {
+      color: #f0e6d2;
+      border-color: #c8aa6e;
+      box-shadow: 0 0 8px rgba(200, 170, 110, 0.4);
+    }
+    #${SHOW_SKIN_NAME_ID} .rose-historic-picker {
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      margin: 0 0 10px;
+    }
+    #${SHOW_SKIN_NAME_ID} .rose-historic-picker-option {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 3px 6px;
+      border: 1px solid transparent;
+      color: #a09b8c;
+      cursor: pointer;
+    }
+    #${SHOW_SKIN_NAME_ID} .rose-historic-picker-option:hover {
+      color: #f0e6d2;
+      border-color: #463714;
+    }
+    #${SHOW_SKIN_NAME_ID} .rose-historic-picker-option.selected {
+      color: #f0e6d2;
+      border-color: #c8aa6e;
+    }
+    #${SHOW_SKIN_NAME_ID} .rose-historic-picker-thumbnail {
+      width: 32px;
+      height: 32px;
+      object-fit: cover;
+      background: #1e2328;
+    }
+    .${FLAG_HITBOX_CLASS} {
+      position: absolute;
+      z-index: 1;
+      cursor: default;
+    }
+    .skin-selection-item > .${CAROUSEL_BADGE_CLASS} {
+      position: absolute;
+      top: 2px;
+      right: 2px;
+      width: 16px;
+      height: 16px;
+      background-repeat: no-repeat;
+      background-size: contain;
+      pointer-events: none;
+      z-index: 1;
+    }
+    #${FLAG_TOOLTIP_ID} {
+      position: fixed;
+      z-index: 10000;
+      max-width: 240px;
+      padding: 8px 12px;
+      border: 1px solid #463714;
+      background: #010a13;
+      box-shadow: 0 0 10px 1px rgba(0, 0, 0, 0.5);
+      color: #a09b8c;
+      font-family: "LoL Body", Arial, "Helvetica Neue", Helvetica, sans-serif;
+      font-size: 12px;
+      line-height: 1.4;
+      pointer-events: none;
+      transform: translate(-50%, -100%);
+    }
+    #${FLAG_TOOLTIP_ID} .rose-historic-tooltip-title {
+      color: #f0e6d2;
+      font-family: "LoL Display", "Times New Roman", Times, Baskerville, Georgia, serif;
+      font-size: 14px;
+      font-weight: bold;
+      margin-bottom: 4px;
+    }
+    #${FLAG_TOOLTIP_ID} .rose-historic-tooltip-status.ready {
+      color: #0acbe6;
+    }
+    #${HISTORIC_TOGGLE_ID}.disabled {
+      opacity: 0.5;
+      cursor: default;
+      pointer-events: none;
+    }
+    #${SETTINGS_PANEL_ID} {
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      z-index: 10001;
+      width: 320px;
+      padding: 14px 18px;
+      border: 1px solid #785a28;
+      background: #010a13;
+      box-shadow: 0 0 10px 1px rgba(0, 0, 0, 0.5);
+      color: #a09b8c;
+      font-family: "LoL Body", Arial, "Helvetica Neue", Helvetica, sans-serif;
+      font-size: 12px;
+    }
+    #${SETTINGS_PANEL_ID} .rose-historic-settings-title {
+      margin-bottom: 10px;
+      color: #f0e6d2;
+      font-family: "LoL Display", "Times New Roman", Times, Baskerville, Georgia, serif;
+      font-size: 14px;
+      font-weight: bold;
+    }
+    #${SETTINGS_PANEL_ID} label {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 10px;
+      margin-bottom: 6px;
+    }
+    #${SETTINGS_PANEL_ID} input,
+    #${SETTINGS_PANEL_ID} select {
+      width: 130px;
+      padding: 2px 4px;
+      border: 1px solid #463714;
+      background: #1e2328;
+      color: #f0e6d2;
+      font: inherit;
+    }
+    #${SETTINGS_PANEL_ID} input[type="checkbox"] {
+      width: auto;
+    }
+    #${SETTINGS_PANEL_ID} .rose-historic-settings-error {
+      min-height: 16px;
+      color: #d13639;
+    }
+    #${SETTINGS_PANEL_ID} .rose-historic-settings-actions {
+      display: flex;
+      justify-content: flex-end;
+      gap: 8px;
+      margin-top: 8px;
+    }
+    #${LOG_VIEWER_ID} {
+      position: fixed;
+      top: 10%;
+      left: 50%;
+      transform: translateX(-50%);
+      z-index: 10001;
+      display: flex;
+      flex-direction: column;
+      width: 720px;
+      max-width: 90vw;
+      height: 70vh;
+      padding: 12px 16px;
+      border: 1px solid #785a28;
+      background: #010a13;
+      box-shadow: 0 0 10px 1px rgba(0, 0, 0, 0.5);
+      color: #a09b8c;
+      font-family: "LoL Body", Arial, "Helvetica Neue", Helvetica, sans-serif;
+      font-size: 12px;
+    }
+    #${LOG_VIEWER_ID} .rose-historic-log-toolbar {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin-bottom: 8px;
+    }
+    #${LOG_VIEWER_ID} .rose-historic-log-toolbar input {
+      flex: 1;
+    }
+    #${LOG_VIEWER_ID} input,
+    #${LOG_VIEWER_ID} select {
+      padding: 2px 4px;
+      border: 1px solid #463714;
+      background: #1e2328;
+      color: #f0e6d2;
+      font: inherit;
+    }
+    #${SETTINGS_PANEL_ID} button,
+    #${LOG_VIEWER_ID} button,
+    #${DIAGNOSTICS_PANEL_ID} button {
+      padding: 3px 10px;
+      border: 1px solid #785a28;
+      background: transparent;
+      color: #a09b8c;
+      font: inherit;
+      cursor: pointer;
+    }
+    #${SETTINGS_PANEL_ID} button:hover,
+    #${LOG_VIEWER_ID} button:hover,
+    #${DIAGNOSTICS_PANEL_ID} button:hover {
+      color: #f0e6d2;
+      border-color: #c8aa6e;
+    }
+    #${LOG_VIEWER_ID} .rose-historic-log-list {
+      flex: 1;
+      overflow-y: auto;
+      margin: 0;
+      font-family: Consolas, "Courier New", monospace;
+      font-size: 11px;
+      white-space: pre-wrap;
+      word-break: break-all;
+      -webkit-user-select: text;
+    }
+    #${LOG_VIEWER_ID} .rose-historic-log-entry.warn {
+      color: #e2b340;
+    }
+    #${LOG_VIEWER_ID} .rose-historic-log-entry.error {
+      color: #e84057;
+    }
+    #${LOG_VIEWER_ID} .rose-historic-log-entry.debug {
+      color: #5b5a56;
+    }
+    #${DIAGNOSTICS_PANEL_ID} {
+      position: fixed;
+      top: 10%;
+      right: 24px;
+      z-index: 10001;
+      width: 380px;
+      max-height: 80vh;
+      overflow-y: auto;
+      padding: 12px 16px;
+      border: 1px solid #785a28;
+      background: #010a13;
+      box-shadow: 0 0 10px 1px rgba(0, 0, 0, 0.5);
+      color: #a09b8c;
+      font-family: "LoL Body", Arial, "Helvetica Neue", Helvetica, sans-serif;
+      font-size: 12px;
+    }
+    #${DIAGNOSTICS_PANEL_ID} .rose-historic-diagnostics-title {
+      color: #f0e6d2;
+      font-family: "LoL Display", "Times New Roman", Times, Baskerville, Georgia, serif;
+      font-size: 14px;
+      font-weight: bold;
+    }
+    #${DIAGNOSTICS_PANEL_ID} .rose-historic-diagnostics-section {
+      margin: 8px 0 4px;
+      color: #f0e6d2;
+      font-weight: bold;
+    }
+    #${DIAGNOSTICS_PANEL_ID} .rose-historic-diagnostics-row {
+      display: flex;
+      justify-content: space-between;
+      gap: 12px;
+    }
+    #${DIAGNOSTICS_PANEL_ID} .rose-historic-diagnostics-row > :last-child {
+      color: #f0e6d2;
+      text-align: right;
+      word-break: break-all;
+    }
+    #${DIAGNOSTICS_PANEL_ID} .rose-historic-diagnostics-actions {
+      display: flex;
+      justify-content: flex-end;
+      gap: 8px;
+      margin-top: 10px;
     }
   `;
 
+  function passesLogLevel(level, settingKey) {
+    return (LOG_LEVELS[level] ?? LOG_LEVELS.info) >= LOG_LEVELS[getSetting(settingKey)];
+  }
+
   function log(level, message, data = null) {
-    const payload = {
-      type: "chroma-log",
-      source: "LU-HistoricMode",
-      level: level,
-      message: message,
-      timestamp: Date.now(),
-    };
-    if (data) payload.data = data;
+    const timestamp = Date.now();
 
-    if (
-      bridgeReady &&
-      bridgeSocket &&
-      bridgeSocket.readyState === WebSocket.OPEN
-    ) {
-      bridgeSocket.send(JSON.stringify(payload));
-    } else {
-      bridgeQueue.push(JSON.stringify(payload));
+    if (passesLogLevel(level, "logMemoryLevel")) {
+      logSequence++;
+      recordLogEntry({
+        seq: logSequence,
+        timestamp: timestamp,
+        level: level,
+        message: message,
+        data: data,
+      });
     }
 
-    // Also log to console for debugging
-    const consoleMethod =
-      level === "error"
-        ? console.error
-        : level === "warn"
-          ? console.warn
-          : console.log;
-    consoleMethod(`${LOG_PREFIX} ${message}`, data || "");
-  }
+    if (passesLogLevel(level, "logBridgeLevel")) {
+      queueBridgeLog(level, message, data, timestamp);
+    }
 
-  function setupBridgeSocket() {
-    if (bridgeSocket && bridgeSocket.readyState === WebSocket.OPEN) {
-      return;
+    if (passesLogLevel(level, "logConsoleLevel")) {
+      const consoleMethod =
+        level === "error"
+          ? console.error
+          : level === "warn"
+            ? console.warn
+            : console.log;
+      consoleMethod(`${LOG_PREFIX} ${message}`, data || "");
     }
+  }
 
+  function queueBridgeLog(level, message, data, timestamp) {
+    let key;
     try {
-      bridgeSocket = new WebSocket(BRIDGE_URL);
+      key = `${level}|${message}|${data ? JSON.stringify(data) : ""}`;
+    } catch (e) {
+      key = `${level}|${message}|${timestamp}`; // Unserializable data never collapses
+    }
 
-      bridgeSocket.onopen = () => {
-        log("info", "WebSocket bridge connected");
-        bridgeReady = true;
-        flushBridgeQueue();
-      };
+    const repeated = logBatch.byKey.get(key);
+    if (repeated) {
+      repeated.count++;
+      repeated.lastTimestamp = timestamp;
+      return;
+    }
 
-      bridgeSocket.onmessage = (event) => {
-        try {
-          const payload = JSON.parse(event.data);
-          handleBridgeMessage(payload);
-        } catch (e) {
-          log("error", "Failed to parse bridge message", { error: e.message });
-        }
-      };
+    const entry = { key: key, level: level, message: message, timestamp: timestamp, count: 1 };
+    if (data) entry.data = data;
+    logBatch.entries.push(entry);
+    logBatch.byKey.set(key, entry);
 
-      bridgeSocket.onerror = (error) => {
-        log("warn", "WebSocket bridge error", {
-          error: error.message || "Unknown error",
-        });
-      };
+    if (logBatch.entries.length > LOG_BATCH_MAX_PENDING) {
+      const oldest = logBatch.entries.shift();
+      logBatch.byKey.delete(oldest.key);
+      logBatch.dropped += oldest.count;
+    }
 
-      bridgeSocket.onclose = () => {
-        log("info", "WebSocket bridge closed, reconnecting...");
-        bridgeReady = false;
-        bridgeSocket = null;
-        scheduleBridgeRetry();
-      };
-    } catch (e) {
-      log("error", "Failed to setup WebSocket bridge", { error: e.message });
-      scheduleBridgeRetry();
+    if (logBatch.entries.length >= LOG_BATCH_MAX_ENTRIES) {
+      flushLogBatch();
+    } else if (!logBatch.timer) {
+      logBatch.timer = setTimeout(flushLogBatch, LOG_BATCH_WINDOW_MS);
     }
   }
 
-  function scheduleBridgeRetry() {
-    setTimeout(() => {
-      if (!bridgeReady) {
-        setupBridgeSocket();
+  function flushLogBatch() {
+    clearTimeout(logBatch.timer);
+    logBatch.timer = null;
+
+    // Drop lines that waited too long for a connection, like the outbox log lane does
+    const cutoff = Date.now() - OUTBOX_LOG_TTL_MS;
+    while (logBatch.entries.length > 0 && logBatch.entries[0].timestamp < cutoff) {
+      const expired = logBatch.entries.shift();
+      logBatch.byKey.delete(expired.key);
+      logBatch.dropped += expired.count;
+    }
+    if (logBatch.entries.length === 0) {
+      return;
+    }
+
+    // Not connected, or the socket is still draining: keep collecting and try again later
+    const socketReady =
+      bridgeReady && bridgeSocket && bridgeSocket.readyState === WebSocket.OPEN;
+    if (!socketReady || bridgeSocket.bufferedAmount > LOG_BACKPRESSURE_BYTES) {
+      if (socketReady) {
+        logBatch.timer = setTimeout(flushLogBatch, LOG_BATCH_WINDOW_MS);
       }
-    }, 3000);
-  }
+      return;
+    }
 
-  function flushBridgeQueue() {
-    if (
-      bridgeQueue.length > 0 &&
-      bridgeReady &&
-      bridgeSocket &&
-      bridgeSocket.readyState === WebSocket.OPEN
-    ) {
-      bridgeQueue.forEach((message) => {
-        bridgeSocket.send(message);
+    const entries = logBatch.entries.splice(0, LOG_BATCH_MAX_ENTRIES).map(({ key, ...entry }) => {
+      logBatch.byKey.delete(key);
+      if (entry.count === 1) {
+        delete entry.count;
+      }
+      return entry;
+    });
+    const dropped = logBatch.dropped;
+    logBatch.dropped = 0;
+
+    if (backendSupports("chroma-log-batch")) {
+      const payload = {
+        type: "chroma-log-batch",
+        source: "LU-HistoricMode",
+        entries: entries,
+        timestamp: Date.now(),
+      };
+      if (dropped > 0) payload.dropped = dropped;
+      sendBridgeMessage(payload);
+    } else {
+      // Older backends only understand single lines
+      entries.forEach((entry) => {
+        const payload = {
+          type: "chroma-log",
+          source: "LU-HistoricMode",
+          level: entry.level,
+          message: entry.count ? `${entry.message} (x${entry.count})` : entry.message,
+          timestamp: entry.timestamp,
+        };
+        if (entry.data) payload.data = entry.data;
+        sendBridgeMessage(payload);
       });
-      bridgeQueue = [];
+    }
+
+    if (logBatch.entries.length > 0) {
+      logBatch.timer = setTimeout(flushLogBatch, LOG_BATCH_WINDOW_MS);
     }
   }
 
-  function handleBridgeMessage(payload) {
-    if (payload.type === "historic-state") {
-      handleHistoricStateUpdate(payload);
-    } else if (payload.type === "custom-mod-state") {
-      handleCustomModStateUpdate(payload);
-    } else if (payload.type === "skin-state") {
-      handleSkinStateUpdate(payload);
-    } else if (payload.type === "local-asset-url") {
-      handleLocalAssetUrl(payload);
-    } else if (payload.type === "phase-change") {
-      handlePhaseChange(payload);
+  function recordLogEntry(entry) {
+    logBuffer.entries[logBuffer.next] = entry;
+    logBuffer.next = (logBuffer.next + 1) % LOG_BUFFER_SIZE;
+    logBuffer.size = Math.min(logBuffer.size + 1, LOG_BUFFER_SIZE);
+    scheduleLogViewerRender();
+  }
+
+  // Oldest first
+  function getLogEntries() {
+    const start = (logBuffer.next - logBuffer.size + LOG_BUFFER_SIZE) % LOG_BUFFER_SIZE;
+    const entries = [];
+    for (let i = 0; i < logBuffer.size; i++) {
+      entries.push(logBuffer.entries[(start + i) % LOG_BUFFER_SIZE]);
     }
+    return entries;
   }
 
-  function handlePhaseChange(data) {
-    const wasInChampSelect = isInChampSelect;
-    // Check if we're entering ChampSelect phase
-    isInChampSelect =
-      data.phase === "ChampSelect" || data.phase === "FINALIZATION";
+  function clearLogEntries() {
+    logBuffer.entries = new Array(LOG_BUFFER_SIZE);
+    logBuffer.next = 0;
+    logBuffer.size = 0;
+    scheduleLogViewerRender();
+  }
 
-    if (isInChampSelect && !wasInChampSelect) {
-      log("debug", "Entered ChampSelect phase - enabling plugin");
-      // Try to update flag when entering ChampSelect
-      if (historicModeActive) {
-        setTimeout(() => {
-          updateHistoricFlag();
-        }, 100);
+  function formatLogEntry(entry) {
+    let line = `${new Date(entry.timestamp).toISOString()} ${entry.level.toUpperCase()} ${entry.message}`;
+    if (entry.data) {
+      try {
+        line += ` ${JSON.stringify(entry.data)}`;
+      } catch (e) {
+        line += " [unserializable data]";
       }
-    } else if (!isInChampSelect && wasInChampSelect) {
-      log("debug", "Left ChampSelect phase - disabling plugin");
-      // Remove popup and reset flags
-      customModPopupActive = false;
-      removeHistoricSkinName();
-      // Hide flag when leaving ChampSelect
-      if (currentRewardsElement) {
-        hideFlagOnElement(currentRewardsElement);
-        currentRewardsElement = null;
+    }
+    return line;
+  }
+
+  // Throws a RangeError describing the first problem with `value`
+  function normalizeSetting(key, value) {
+    const field = SETTINGS_FIELDS[key];
+    if (!field) {
+      throw new RangeError(`Unknown setting: ${key}`);
+    }
+    if (field.options) {
+      if (!Object.prototype.hasOwnProperty.call(field.options, value)) {
+        throw new RangeError(`${field.label}: unknown option "${value}"`);
       }
-      // Reset retry counters
-      if (updateHistoricFlag._retryCount) {
-        updateHistoricFlag._retryCount = 0;
+      return value;
+    }
+    if (field.type === "boolean") {
+      if (typeof value !== "boolean") {
+        throw new RangeError(`${field.label} must be true or false`);
+      }
+      return value;
+    }
+    if (field.type === "list") {
+      if (!Array.isArray(value) || value.some((item) => typeof item !== "string")) {
+        throw new RangeError(`${field.label} must be a list of strings`);
+      }
+      return Object.freeze(value.map((item) => item.trim()).filter(Boolean));
+    }
+    if (field.type === "secret") {
+      if (value !== null && typeof value !== "string") {
+        throw new RangeError(`${field.label} must be text`);
       }
+      return value && value.trim() ? value.trim() : null;
+    }
+    if (value === null && field.optional) {
+      return null;
+    }
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+      throw new RangeError(
+        `${field.label} must be a whole number between ${field.min} and ${field.max}`
+      );
     }
+    return value;
   }
 
-  function handleLocalAssetUrl(data) {
-    const assetPath = data.assetPath;
-    let url = data.url;
-    // Fix: Ensure we use 127.0.0.1 for asset URLs to match the bridge connection
-    if (url && typeof url === 'string') {
-      url = url.replace('localhost', '127.0.0.1');
+  function loadSettings() {
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || "null");
+    } catch (e) {
+      console.warn(`${LOG_PREFIX} Stored settings are unreadable, using defaults`, e);
+    }
+    const storedVersion = stored && Number.isInteger(stored.version) ? stored.version : 0;
+    let values = stored && stored.values && typeof stored.values === "object" ? stored.values : {};
+    for (let version = storedVersion + 1; version <= SETTINGS_VERSION; version++) {
+      values = SETTINGS_MIGRATIONS[version](values);
+    }
+
+    // Anything invalid (or written by a newer version we don't understand) falls back to its default
+    settings = { ...SETTINGS_DEFAULTS };
+    for (const key of Object.keys(SETTINGS_DEFAULTS)) {
+      if (!Object.prototype.hasOwnProperty.call(values, key)) {
+        continue;
+      }
+      try {
+        settings[key] = normalizeSetting(key, values[key]);
+      } catch (e) {
+        console.warn(`${LOG_PREFIX} Ignoring stored setting ${key}: ${e.message}`);
+      }
+    }
+    if (!isValidDiscoveryRange(settings.discoveryStartPort, settings.discoveryEndPort)) {
+      settings.discoveryStartPort = SETTINGS_DEFAULTS.discoveryStartPort;
+      settings.discoveryEndPort = SETTINGS_DEFAULTS.discoveryEndPort;
+    }
+    if (storedVersion < SETTINGS_VERSION) {
+      saveSettings();
+    }
+  }
+
+  function isValidDiscoveryRange(startPort, endPort) {
+    return startPort <= endPort && endPort - startPort < DISCOVERY_MAX_RANGE_PORTS;
+  }
+
+  function saveSettings() {
+    localStorage.setItem(
+      SETTINGS_STORAGE_KEY,
+      JSON.stringify({ version: SETTINGS_VERSION, values: settings })
+    );
+  }
+
+  function getSetting(key) {
+    return settings[key];
+  }
+
+  function getSettings() {
+    return { ...settings };
+  }
+
+  /**
+   * Validate and apply a partial settings object; nothing is saved if any value is invalid.
+   * @param {Object} patch Setting key -> new value
+   * @throws {RangeError} On an unknown key, an invalid value or an inverted or too wide port range
+   */
+  function updateSettings(patch) {
+    const next = { ...settings };
+    for (const [key, value] of Object.entries(patch)) {
+      next[key] = normalizeSetting(key, value);
+    }
+    if (!isValidDiscoveryRange(next.discoveryStartPort, next.discoveryEndPort)) {
+      throw new RangeError(
+        `Invalid discovery port range: ${next.discoveryStartPort}-${next.discoveryEndPort}` +
+          ` (at most ${DISCOVERY_MAX_RANGE_PORTS} ports)`
+      );
+    }
+
+    const changedKeys = Object.keys(next).filter(
+      (key) => JSON.stringify(next[key]) !== JSON.stringify(settings[key])
+    );
+    if (changedKeys.length === 0) {
+      return;
+    }
+    settings = next;
+    saveSettings();
+    log("debug", "Settings changed", { changed: changedKeys });
+
+    settingsListeners.forEach((listener) => {
+      try {
+        listener(changedKeys, getSettings());
+      } catch (e) {
+        console.error(`${LOG_PREFIX} Settings listener failed`, e);
+      }
+    });
+  }
+
+  function resetSettings() {
+    updateSettings(SETTINGS_DEFAULTS);
+  }
+
+  function onSettingsChange(listener) {
+    settingsListeners.add(listener);
+    return () => settingsListeners.delete(listener);
+  }
+
+  // Applies changed settings to whatever is already on screen or connected
+  function applySettingsChange(changedKeys) {
+    const changed = new Set(changedKeys);
+    if (changed.has("simulatorEnabled")) {
+      if (isSimulatorRequested()) {
+        startSimulator();
+      } else {
+        stopSimulator();
+      }
+      rediscoverBridge();
+    }
+    if (changed.has("recorderEnabled")) {
+      if (getSetting("recorderEnabled")) {
+        startTrafficRecording();
+      } else {
+        stopTrafficRecording();
+      }
+    }
+    if (changed.has("popupLifetimeMs")) {
+      toasts.forEach(resetToastTimer);
+    }
+    if (changed.has("popupTheme")) {
+      injectPopupStyles();
+    }
+    if (changed.has("popupPlacement")) {
+      updatePopupPlacement();
+    }
+    if (changed.has("flagSizePx") || changed.has("flagOffsetXPx") || changed.has("flagOffsetYPx")) {
+      document.querySelectorAll(`.${FLAG_HITBOX_CLASS}`).forEach(applyHitboxGeometry);
+      if (historicModeActive) {
+        updateHistoricFlag();
+      }
+    }
+    if (
+      changed.has("discoveryStartPort") ||
+      changed.has("discoveryEndPort") ||
+      changed.has("bridgePortOverride") ||
+      changed.has("bridgePairingKey")
+    ) {
+      rediscoverBridge();
+    }
+    renderSettingsPanel();
+  }
+
+  function setBridgeState(nextState) {
+    if (bridgeState === nextState) {
+      return;
+    }
+    const previousState = bridgeState;
+    bridgeState = nextState;
+    log("debug", "Bridge state changed", { from: previousState, to: nextState });
+    recordTraffic("state", { event: "bridge-state", from: previousState, to: nextState });
+
+    bridgeStateListeners.forEach((listener) => {
+      try {
+        listener(nextState, previousState);
+      } catch (e) {
+        console.error(`${LOG_PREFIX} Bridge state listener failed`, e);
+      }
+    });
+    // Let other Rose plugins react without holding a reference to this one
+    window.dispatchEvent(
+      new CustomEvent("rose-historic-bridge-state", {
+        detail: { state: nextState, previousState: previousState },
+      })
+    );
+  }
+
+  function onBridgeStateChange(listener) {
+    bridgeStateListeners.add(listener);
+    return () => bridgeStateListeners.delete(listener);
+  }
+
+  async function connectBridge() {
+    if (
+      bridgeState === BRIDGE_STATES.DISCOVERING ||
+      bridgeState === BRIDGE_STATES.CONNECTING ||
+      bridgeState === BRIDGE_STATES.OPEN
+    ) {
+      return;
+    }
+    if (bridgeRetryTimer) {
+      clearTimeout(bridgeRetryTimer);
+      bridgeRetryTimer = null;
+    }
+
+    // The simulator has nothing to discover
+    if (bridgeNeedsDiscovery && !simulator) {
+      setBridgeState(BRIDGE_STATES.DISCOVERING);
+      const found = await loadBridgePort();
+      if (!found) {
+        // Nothing answered discovery, so there is no point opening a socket yet
+        bridgeFailureCount++;
+        setBridgeState(BRIDGE_STATES.DISCONNECTED);
+        scheduleBridgeRetry();
+        return;
+      }
+      bridgeNeedsDiscovery = false;
+    }
+
+    setBridgeState(BRIDGE_STATES.CONNECTING);
+    setupBridgeSocket();
+  }
+
+  function setupBridgeSocket() {
+    if (bridgeSocket && bridgeSocket.readyState === WebSocket.OPEN) {
+      return;
+    }
+
+    let socket;
+    try {
+      socket = simulator ? createSimulatedSocket() : new WebSocket(BRIDGE_URL);
+    } catch (e) {
+      log("error", "Failed to setup WebSocket bridge", { error: e.message });
+      bridgeFailureCount++;
+      setBridgeState(BRIDGE_STATES.DISCONNECTED);
+      scheduleBridgeRetry();
+      return;
+    }
+    bridgeSocket = socket;
+
+    // Handlers ignore events from sockets that have already been replaced
+    socket.onopen = () => {
+      if (socket !== bridgeSocket) return;
+      setBridgeState(BRIDGE_STATES.OPEN);
+      log("info", "WebSocket bridge connected, negotiating protocol", {
+        port: BRIDGE_PORT,
+      });
+      startBridgeHandshake();
+    };
+
+    socket.onmessage = (event) => {
+      if (socket !== bridgeSocket) return;
+      let payload;
+      try {
+        payload = JSON.parse(event.data);
+      } catch (e) {
+        recordTraffic("in", null, {
+          malformed: true,
+          raw: String(event.data).slice(0, RECORDER_MAX_RAW_CHARS),
+        });
+        log("error", "Failed to parse bridge message", { error: e.message });
+        reportProtocolError(null, [
+          { field: "(message)", expected: "JSON", received: "unparseable" },
+        ]);
+        return;
+      }
+      // Recorded before any checks, so rejected frames show up in recordings as well
+      recordTraffic("in", payload, isTypedMessage(payload) ? null : { malformed: true });
+      try {
+        handleBridgeMessage(payload);
+      } catch (e) {
+        log("error", "Failed to handle bridge message", {
+          type: payload && payload.type,
+          error: e.message,
+        });
+      }
+    };
+
+    socket.onerror = (error) => {
+      if (socket !== bridgeSocket) return;
+      log("warn", "WebSocket bridge error", {
+        error: error.message || "Unknown error",
+      });
+    };
+
+    socket.onclose = () => {
+      if (socket !== bridgeSocket) return;
+      handleBridgeClosed(false);
+    };
+  }
+
+  function handleBridgeClosed(failed) {
+    // A socket that never completed the handshake counts as a failed attempt
+    if (failed || !bridgeReady) {
+      bridgeFailureCount++;
+    }
+    log("info", "WebSocket bridge closed, reconnecting...", {
+      failures: bridgeFailureCount,
+    });
+    bridgeReady = false;
+    bridgeSocket = null;
+    stopHeartbeat();
+    resetBridgeHandshake();
+    rejectPendingBridgeRequests("Bridge connection closed");
+    setBridgeState(BRIDGE_STATES.DISCONNECTED);
+    scheduleBridgeRetry();
+  }
+
+  // Drop a socket we no longer trust without waiting for a close handshake that may never come
+  function abandonBridgeSocket(reason) {
+    const socket = bridgeSocket;
+    if (!socket) {
+      return;
+    }
+    bridgeSocket = null; // Its own onclose is now ignored as stale
+    try {
+      socket.close(4000, reason);
+    } catch (e) {
+      // Already closing
+    }
+    handleBridgeClosed(true);
+  }
+
+  function startHeartbeat() {
+    stopHeartbeat();
+    if (!backendSupports("ping")) {
+      return; // Older backends: rely on onclose only
+    }
+    lastPongAt = Date.now();
+    heartbeatTimer = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL_MS);
+  }
+
+  function stopHeartbeat() {
+    if (heartbeatTimer) {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+    pendingPings.clear();
+  }
+
+  function sendHeartbeat() {
+    if (!bridgeSocket || bridgeSocket.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    const silentFor = Date.now() - lastPongAt;
+    if (silentFor > HEARTBEAT_TIMEOUT_MS) {
+      log("warn", "Bridge heartbeat timed out, dropping connection", {
+        silentFor: silentFor,
+        port: BRIDGE_PORT,
+      });
+      abandonBridgeSocket("heartbeat timeout");
+      return;
+    }
+
+    // Pings that will never be answered should not pile up
+    const now = performance.now();
+    for (const [pingId, sentAt] of pendingPings) {
+      if (now - sentAt > HEARTBEAT_TIMEOUT_MS) {
+        pendingPings.delete(pingId);
+      }
+    }
+
+    heartbeatCounter++;
+    const pingId = heartbeatCounter;
+    pendingPings.set(pingId, now);
+    // Sent directly: a queued ping would measure the outbox, not the backend
+    writeBridgeSocket({ type: "ping", pingId: pingId, timestamp: Date.now() });
+  }
+
+  function handlePong(data) {
+    const sentAt = pendingPings.get(data.pingId);
+    if (sentAt === undefined) {
+      return;
+    }
+    pendingPings.delete(data.pingId);
+    lastPongAt = Date.now();
+
+    latencySamples.push(Math.round(performance.now() - sentAt));
+    if (latencySamples.length > LATENCY_SAMPLE_COUNT) {
+      latencySamples.shift();
+    }
+  }
+
+  // Exponential backoff with "equal jitter": half the delay is fixed, half is random
+  function getReconnectDelay(failures) {
+    const exponent = Math.max(0, failures - 1);
+    const delay = Math.min(
+      RECONNECT_MAX_DELAY_MS,
+      RECONNECT_BASE_DELAY_MS * Math.pow(2, exponent)
+    );
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  function scheduleBridgeRetry() {
+    if (bridgeRetryTimer) {
+      clearTimeout(bridgeRetryTimer);
+    }
+
+    // The backend may have restarted on another port: look again after repeated failures
+    if (
+      bridgeFailureCount > 0 &&
+      bridgeFailureCount % REDISCOVER_AFTER_FAILURES === 0
+    ) {
+      bridgeNeedsDiscovery = true;
+    }
+
+    const delay = getReconnectDelay(bridgeFailureCount);
+    setBridgeState(BRIDGE_STATES.BACKOFF);
+    log("debug", "Scheduling bridge reconnect", {
+      delay: delay,
+      failures: bridgeFailureCount,
+      rediscover: bridgeNeedsDiscovery,
+    });
+
+    bridgeRetryTimer = setTimeout(() => {
+      bridgeRetryTimer = null;
+      connectBridge();
+    }, delay);
+  }
+
+  function startBridgeHandshake() {
+    resetBridgeHandshake();
+    bridgeChallenge = toHex(crypto.getRandomValues(new Uint8Array(16)));
+
+    // The hello goes out directly: everything else stays queued until negotiation finishes
+    writeBridgeSocket({
+      type: "hello",
+      pluginVersion: PLUGIN_VERSION,
+      protocolVersion: BRIDGE_PROTOCOL_VERSION,
+      capabilities: PLUGIN_CAPABILITIES,
+      token: BRIDGE_TOKEN,
+      challenge: bridgeChallenge,
+      timestamp: Date.now(),
+    });
+
+    // A bridge that cannot authenticate us is not trusted, however it answers
+    bridgeHandshakeTimer = setTimeout(() => {
+      bridgeHandshakeTimer = null;
+      rejectBridgeAuthentication("Backend did not answer hello");
+    }, HANDSHAKE_TIMEOUT_MS);
+  }
+
+  function rejectBridgeAuthentication(reason) {
+    log("error", "Bridge authentication failed, disconnecting", {
+      reason: reason,
+      port: BRIDGE_PORT,
+    });
+    // The cached port/token pair is what led us here; force a fresh discovery
+    clearCachedBridge();
+    BRIDGE_TOKEN = null;
+    bridgeNeedsDiscovery = true;
+    abandonBridgeSocket("authentication failed");
+  }
+
+  function resetBridgeHandshake() {
+    if (bridgeHandshakeTimer) {
+      clearTimeout(bridgeHandshakeTimer);
+      bridgeHandshakeTimer = null;
+    }
+    backendInfo = null;
+    bridgePaired = false;
+  }
+
+  function toHex(bytes) {
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+  }
+
+  // HMAC-SHA256 of "<challenge>:<token>" keyed with the pairing key, hex encoded
+  async function computeBridgeProof(pairingKey, challenge, token) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+      "raw",
+      encoder.encode(pairingKey),
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["sign"]
+    );
+    const signature = await crypto.subtle.sign("HMAC", key, encoder.encode(`${challenge}:${token}`));
+    return toHex(new Uint8Array(signature));
+  }
+
+  function handleHelloAck(data) {
+    if (bridgeReady) {
+      return; // Duplicate ack
+    }
+    if (bridgeHandshakeTimer) {
+      clearTimeout(bridgeHandshakeTimer);
+      bridgeHandshakeTimer = null;
+    }
+    if (data.authenticated !== true) {
+      rejectBridgeAuthentication(data.error || "Session token rejected");
+      return;
+    }
+
+    // The simulator runs in-process, so there is no one to verify
+    const pairingKey = getSetting("bridgePairingKey");
+    if (!pairingKey || simulator) {
+      if (!simulator) {
+        log("warn", "Bridge is not paired: set the pairing key from Rose to verify the backend");
+      }
+      acceptHelloAck(data);
+      return;
+    }
+
+    const socket = bridgeSocket;
+    computeBridgeProof(pairingKey, bridgeChallenge, BRIDGE_TOKEN)
+      .then((expected) => {
+        if (socket !== bridgeSocket || bridgeReady) {
+          return; // Connection replaced, or a duplicate ack already went through
+        }
+        if (data.proof !== expected) {
+          rejectBridgeAuthentication("Backend could not prove the pairing key");
+          return;
+        }
+        bridgePaired = true;
+        acceptHelloAck(data);
+      })
+      .catch((e) => {
+        rejectBridgeAuthentication(`Pairing check failed: ${e.message}`);
+      });
+  }
+
+  function acceptHelloAck(data) {
+    const capabilities = Array.isArray(data.capabilities)
+      ? data.capabilities.filter((type) => typeof type === "string")
+      : [];
+
+    if (data.protocolVersion !== BRIDGE_PROTOCOL_VERSION) {
+      log("warn", "Backend protocol version mismatch", {
+        pluginProtocolVersion: BRIDGE_PROTOCOL_VERSION,
+        backendProtocolVersion: data.protocolVersion,
+        backendVersion: data.version,
+      });
+    }
+
+    completeBridgeHandshake({
+      version: data.version || null,
+      protocolVersion: data.protocolVersion,
+      capabilities: capabilities,
+    });
+  }
+
+  function completeBridgeHandshake(info) {
+    backendInfo = {
+      version: info.version,
+      protocolVersion: info.protocolVersion,
+      capabilities: new Set(info.capabilities),
+    };
+    bridgeReady = true;
+    // Only an authenticated connection counts as success, so rejected hellos keep backing off
+    bridgeFailureCount = 0;
+
+    // Flush first so messages held back during negotiation keep their original order
+    flushBridgeOutbox();
+    flushLogBatch();
+
+    const disabled = PLUGIN_CAPABILITIES.filter(
+      (type) => !backendInfo.capabilities.has(type)
+    );
+    log("info", "Bridge handshake complete", {
+      pluginVersion: PLUGIN_VERSION,
+      backendVersion: backendInfo.version,
+      protocolVersion: backendInfo.protocolVersion,
+      disabled: disabled,
+    });
+
+    startHeartbeat();
+    // Capabilities are known now: show or hide the toggle accordingly
+    renderHistoricToggle();
+
+    // Anything Python pushed while we were disconnected is lost: ask for the full picture
+    requestStateSnapshot();
+  }
+
+  // Before negotiation everything is allowed (it only gets queued); afterwards only advertised types
+  function backendSupports(type) {
+    return !backendInfo || backendInfo.capabilities.has(type);
+  }
+
+  function sendBridgeMessage(payload) {
+    if (!backendSupports(payload.type)) {
+      if (!droppedUnsupportedTypes.has(payload.type)) {
+        droppedUnsupportedTypes.add(payload.type);
+        // Console only: routing this through log() could itself be an unsupported message
+        console.warn(
+          `${LOG_PREFIX} Backend does not support "${payload.type}", dropping message`
+        );
+      }
+      return false;
+    }
+
+    if (
+      bridgeReady &&
+      bridgeSocket &&
+      bridgeSocket.readyState === WebSocket.OPEN
+    ) {
+      writeBridgeSocket(payload);
+    } else {
+      enqueueOutbound(payload);
+    }
+    return true;
+  }
+
+  // Every frame that actually goes out passes through here (and through the recorder)
+  function writeBridgeSocket(payload) {
+    recordTraffic("out", payload);
+    bridgeSocket.send(JSON.stringify(payload));
+  }
+
+  // Identity of a message for deduplication: everything except per-send stamps
+  function getOutboundKey(payload) {
+    const { timestamp, requestId, ...rest } = payload;
+    return JSON.stringify(rest);
+  }
+
+  function enqueueOutbound(payload) {
+    pruneOutbox();
+
+    const lane = LOG_MESSAGE_TYPES.has(payload.type) ? "log" : "control";
+    const key = getOutboundKey(payload);
+    if (lane === "control" && bridgeOutbox.control.some((entry) => entry.key === key)) {
+      return; // Identical request already pending
+    }
+
+    bridgeOutbox[lane].push({
+      payload: payload,
+      key: key,
+      expiresAt:
+        Date.now() + (lane === "log" ? OUTBOX_LOG_TTL_MS : OUTBOX_CONTROL_TTL_MS),
+    });
+
+    // Over the cap: logs are sacrificed first, control messages only as a last resort
+    while (bridgeOutbox.control.length + bridgeOutbox.log.length > OUTBOX_MAX_SIZE) {
+      if (bridgeOutbox.log.length > 0) {
+        bridgeOutbox.log.shift();
+      } else {
+        const dropped = bridgeOutbox.control.shift();
+        console.warn(
+          `${LOG_PREFIX} Outbox full, dropping control message "${dropped.payload.type}"`
+        );
+      }
+    }
+
+    if (lane === "control") {
+      persistOutbox();
+    }
+  }
+
+  function pruneOutbox() {
+    const now = Date.now();
+    const controlCount = bridgeOutbox.control.length;
+    bridgeOutbox.control = bridgeOutbox.control.filter((entry) => entry.expiresAt > now);
+    bridgeOutbox.log = bridgeOutbox.log.filter((entry) => entry.expiresAt > now);
+    if (bridgeOutbox.control.length !== controlCount) {
+      persistOutbox();
+    }
+  }
+
+  function persistOutbox() {
+    try {
+      if (bridgeOutbox.control.length > 0) {
+        sessionStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(bridgeOutbox.control));
+      } else {
+        sessionStorage.removeItem(OUTBOX_STORAGE_KEY);
+      }
+    } catch (e) {
+      // Storage full or unavailable: the in-memory outbox still works
+    }
+  }
+
+  // Pick up control messages queued before a client reload
+  function restoreOutbox() {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(OUTBOX_STORAGE_KEY) || "[]");
+      if (!Array.isArray(stored)) {
+        return;
+      }
+      const now = Date.now();
+      bridgeOutbox.control = stored.filter(
+        (entry) =>
+          entry &&
+          entry.payload &&
+          typeof entry.payload.type === "string" &&
+          typeof entry.key === "string" &&
+          entry.expiresAt > now
+      );
+      persistOutbox();
+      if (bridgeOutbox.control.length > 0) {
+        log("info", "Restored queued control messages", {
+          count: bridgeOutbox.control.length,
+        });
+      }
+    } catch (e) {
+      sessionStorage.removeItem(OUTBOX_STORAGE_KEY);
+    }
+  }
+
+  /**
+   * Send a message that expects a reply and resolve with that reply.
+   * Replies are matched on the echoed requestId; `options.match` is a fallback
+   * predicate for backends that answer without echoing it.
+   * @param {object} payload - Message to send (a requestId is added)
+   * @param {{timeoutMs?: number, match?: function(object): boolean}} [options]
+   * @returns {Promise<object>} The reply payload; rejects on timeout or error reply
+   */
+  function bridgeRequest(payload, options = {}) {
+    const timeoutMs = options.timeoutMs || BRIDGE_REQUEST_TIMEOUT_MS;
+    const key = getOutboundKey(payload);
+
+    // An identical request is already waiting for its reply: share it
+    for (const pending of pendingBridgeRequests.values()) {
+      if (pending.key === key) {
+        return pending.promise;
+      }
+    }
+
+    bridgeRequestCounter++;
+    const requestId = `hm-${Date.now().toString(36)}-${bridgeRequestCounter}`;
+
+    let entry;
+    const promise = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pendingBridgeRequests.delete(requestId);
+        reject(
+          new Error(`Bridge request "${payload.type}" timed out after ${timeoutMs}ms`)
+        );
+      }, timeoutMs);
+
+      entry = {
+        type: payload.type,
+        key: key,
+        match: options.match || null,
+        resolve: resolve,
+        reject: reject,
+        timer: timer,
+        promise: null,
+      };
+      pendingBridgeRequests.set(requestId, entry);
+
+      if (!sendBridgeMessage({ ...payload, requestId: requestId })) {
+        clearTimeout(timer);
+        pendingBridgeRequests.delete(requestId);
+        reject(new Error(`Backend does not support "${payload.type}"`));
+      }
+    });
+    entry.promise = promise;
+    return promise;
+  }
+
+  // Replies to these can no longer arrive, so fail them now instead of at their timeout
+  function rejectPendingBridgeRequests(reason) {
+    for (const entry of pendingBridgeRequests.values()) {
+      clearTimeout(entry.timer);
+      entry.reject(new Error(`Bridge request "${entry.type}" failed: ${reason}`));
+    }
+    pendingBridgeRequests.clear();
+  }
+
+  // Returns true when the message answered a pending request
+  function settleBridgeRequest(payload) {
+    let requestId = payload.requestId;
+    let entry = requestId ? pendingBridgeRequests.get(requestId) : null;
+
+    if (!entry) {
+      for (const [candidateId, candidate] of pendingBridgeRequests) {
+        if (candidate.match && candidate.match(payload)) {
+          requestId = candidateId;
+          entry = candidate;
+          break;
+        }
+      }
+    }
+    if (!entry) {
+      return false;
+    }
+
+    clearTimeout(entry.timer);
+    pendingBridgeRequests.delete(requestId);
+    if (typeof payload.error === "string" && payload.error) {
+      entry.reject(new Error(`Bridge request "${entry.type}" failed: ${payload.error}`));
+    } else {
+      entry.resolve(payload);
+    }
+    return true;
+  }
+
+  function flushBridgeOutbox() {
+    pruneOutbox();
+    if (
+      bridgeOutbox.control.length + bridgeOutbox.log.length > 0 &&
+      bridgeReady &&
+      bridgeSocket &&
+      bridgeSocket.readyState === WebSocket.OPEN
+    ) {
+      // Control lane first, so a dismiss never waits behind a backlog of logs
+      const queued = bridgeOutbox.control.concat(bridgeOutbox.log);
+      bridgeOutbox.control = [];
+      bridgeOutbox.log = [];
+      persistOutbox();
+      // Re-route through sendBridgeMessage so features the backend lacks are dropped here
+      queued.forEach((entry) => {
+        sendBridgeMessage(entry.payload);
+      });
+    }
+  }
+
+  function describeValueType(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+  }
+
+  function getSchema(name) {
+    return INBOUND_SCHEMAS[name] || NESTED_SCHEMAS[name];
+  }
+
+  // Returns a list of { field, expected, received } problems; empty when the object matches
+  function validateFields(data, schema, prefix = "") {
+    const errors = [];
+    for (const [field, spec] of Object.entries(schema)) {
+      const optional = spec.endsWith("?");
+      const allowed = (optional ? spec.slice(0, -1) : spec).split("|");
+      const path = prefix + field;
+      const value = data[field];
+
+      if (value === undefined) {
+        if (!optional) {
+          errors.push({ field: path, expected: allowed.join("|"), received: "undefined" });
+        }
+        continue;
+      }
+
+      const received = describeValueType(value);
+      const nested = allowed.find((type) => type.startsWith("@"));
+      const nestedIsList = Boolean(nested) && nested.endsWith("[]");
+      if (nestedIsList && received === "array") {
+        const itemSchema = getSchema(nested.slice(1, -2));
+        value.forEach((item, index) => {
+          const itemType = describeValueType(item);
+          if (itemType === "object") {
+            errors.push(...validateFields(item, itemSchema, `${path}[${index}].`));
+          } else {
+            errors.push({ field: `${path}[${index}]`, expected: "object", received: itemType });
+          }
+        });
+      } else if (nested && !nestedIsList && received === "object") {
+        errors.push(...validateFields(value, getSchema(nested.slice(1)), `${path}.`));
+      } else if (!allowed.includes(received)) {
+        errors.push({ field: path, expected: allowed.join("|"), received: received });
+      }
+    }
+    return errors;
+  }
+
+  function reportProtocolError(payload, errors) {
+    const messageType = payload && typeof payload.type === "string" ? payload.type : null;
+    log("warn", "Rejected malformed bridge message", {
+      type: messageType,
+      errors: errors,
+    });
+    sendBridgeMessage({
+      type: "protocol-error",
+      messageType: messageType,
+      requestId: payload && typeof payload.requestId === "string" ? payload.requestId : null,
+      errors: errors,
+      timestamp: Date.now(),
+    });
+  }
+
+  function isTypedMessage(payload) {
+    return Boolean(payload) && typeof payload === "object" && typeof payload.type === "string";
+  }
+
+  function handleBridgeMessage(payload) {
+    if (!isTypedMessage(payload)) {
+      reportProtocolError(payload, [
+        { field: "type", expected: "string", received: describeValueType(payload && payload.type) },
+      ]);
+      return;
+    }
+
+    // Redacted like recordings, since the copied diagnostics end up in bug reports
+    lastInboundMessages.set(payload.type, {
+      receivedAt: Date.now(),
+      payload: redactValue(payload, getSetting("recorderRedactionRules"), []),
+    });
+
+    const schema = INBOUND_SCHEMAS[payload.type];
+    if (!schema) {
+      const count = (unknownMessageCounts.get(payload.type) || 0) + 1;
+      unknownMessageCounts.set(payload.type, count);
+      if (count === 1) {
+        log("warn", "Received unknown bridge message type", { type: payload.type });
+      }
+      return;
+    }
+
+    // Until the bridge has authenticated, only its handshake answer is listened to
+    if (!bridgeReady && payload.type !== "hello-ack") {
+      log("warn", "Ignoring message from unauthenticated bridge", {
+        type: payload.type,
+      });
+      return;
+    }
+
+    const errors = validateFields(payload, { ...COMMON_FIELDS, ...schema });
+    if (errors.length > 0) {
+      reportProtocolError(payload, errors);
+      return;
+    }
+
+    // Replies still go through the regular handlers below so state stays in sync
+    settleBridgeRequest(payload);
+
+    if (payload.type === "hello-ack") {
+      handleHelloAck(payload);
+    } else if (payload.type === "historic-state") {
+      handleHistoricStateUpdate(payload);
+    } else if (payload.type === "custom-mod-state") {
+      handleCustomModStateUpdate(payload);
+    } else if (payload.type === "skin-state") {
+      handleSkinStateUpdate(payload);
+    } else if (payload.type === "local-asset-url") {
+      handleLocalAssetUrl(payload);
+    } else if (payload.type === "phase-change") {
+      handlePhaseChange(payload);
+    } else if (payload.type === "state-snapshot") {
+      applyStateSnapshot(payload);
+    } else if (payload.type === "pong") {
+      handlePong(payload);
+    } else if (payload.type === "historic-availability") {
+      handleHistoricAvailability(payload);
+    }
+  }
+
+  function requestStateSnapshot() {
+    if (!backendSupports("request-state-snapshot")) {
+      return;
+    }
+    // The reply is applied by handleBridgeMessage; this only surfaces a missing answer
+    bridgeRequest(
+      { type: "request-state-snapshot", timestamp: Date.now() },
+      { match: (reply) => reply.type === "state-snapshot" }
+    ).catch((e) => {
+      log("warn", "State snapshot request failed", { error: e.message });
+    });
+  }
+
+  // Apply phase, skin, historic and custom-mod state in one pass through the regular handlers
+  // The schema has already validated every part, so nothing is applied half-way
+  function applyStateSnapshot(data) {
+    log("info", "Applying bridge state snapshot", {
+      phase: data.phase,
+      skinId: data.skin ? data.skin.skinId : null,
+      historicActive: data.historic ? data.historic.active === true : false,
+      customModActive: data.customMod ? data.customMod.active === true : false,
+    });
+
+    // Order matters: a skin change hides the custom-mod popup, so skin goes before it.
+    // A snapshot without a phase leaves the current one alone
+    if (data.phase !== undefined) {
+      handlePhaseChange({ phase: data.phase });
+    }
+    if (data.skin) {
+      handleSkinStateUpdate(data.skin);
+    }
+    handleHistoricStateUpdate(data.historic || { active: false });
+    handleCustomModStateUpdate(data.customMod || { active: false });
+    handleHistoricAvailability(data.availability || { skinIds: [] });
+  }
+
+  function handlePhaseChange(data) {
+    const wasInChampSelect = isInChampSelect;
+    // Check if we're entering ChampSelect phase
+    isInChampSelect =
+      data.phase === "ChampSelect" || data.phase === "FINALIZATION";
+    if (isInChampSelect !== wasInChampSelect) {
+      recordTraffic("state", { event: "champ-select", active: isInChampSelect, phase: data.phase });
+    }
+
+    renderHistoricToggle();
+
+    if (isInChampSelect && !wasInChampSelect) {
+      log("debug", "Entered ChampSelect phase - enabling plugin");
+      startCarouselObservation();
+      // Try to update flag when entering ChampSelect
+      if (historicModeActive) {
+        setTimeout(() => {
+          updateHistoricFlag();
+        }, 100);
+      }
+    } else if (!isInChampSelect && wasInChampSelect) {
+      log("debug", "Left ChampSelect phase - disabling plugin");
+      stopCarouselObservation();
+      // Remove popups and reset flags
+      removeAllToasts();
+      historicAvailableSkinIds = new Set();
+      updateCarouselBadges();
+      // Hide flag when leaving ChampSelect
+      if (currentRewardsElement) {
+        hideFlagOnElement(currentRewardsElement);
+        currentRewardsElement = null;
+      }
+      // Reset retry counters
+      if (updateHistoricFlag._retryCount) {
+        updateHistoricFlag._retryCount = 0;
+      }
+    }
+  }
+
+  /**
+   * Check an asset URL sent by Python before it reaches the DOM or CSS.
+   * Only http(s) on loopback at the discovered bridge port is allowed.
+   * @param {string} rawUrl - URL as received over the bridge
+   * @returns {string|null} Normalised URL on 127.0.0.1, or null when rejected
+   */
+  function sanitizeAssetUrl(rawUrl) {
+    const reject = (reason) => {
+      log("warn", "Rejected asset URL from bridge", {
+        url: String(rawUrl).slice(0, 200),
+        reason: reason,
+      });
+      return null;
+    };
+
+    let parsed;
+    try {
+      parsed = new URL(rawUrl);
+    } catch (e) {
+      return reject("unparseable URL");
+    }
+
+    // Rules out javascript:, data:, blob:, file: and friends
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      return reject(`scheme ${parsed.protocol} not allowed`);
+    }
+    // The URL parser has already lowercased the host and canonicalised IPv4 forms like 127.1
+    if (!LOOPBACK_HOSTS.has(parsed.hostname)) {
+      return reject("remote origin not allowed");
+    }
+    if (parsed.username || parsed.password) {
+      return reject("credentials not allowed");
+    }
+    const port = parsed.port
+      ? parseInt(parsed.port, 10)
+      : parsed.protocol === "https:"
+        ? 443
+        : 80;
+    if (port !== BRIDGE_PORT) {
+      return reject(`port ${port} is not the bridge port`);
+    }
+
+    // Match the bridge connection host; href also percent-encodes quotes for the CSS url("")
+    parsed.hostname = "127.0.0.1";
+    return parsed.href;
+  }
+
+  function handleLocalAssetUrl(data) {
+    const assetPath = data.assetPath;
+    if (data.url === undefined) {
+      log("warn", "Bridge could not resolve local asset", {
+        assetPath: assetPath,
+        error: data.error || null,
+      });
+      return;
+    }
+    const url = sanitizeAssetUrl(data.url);
+    if (url) {
+      localAssetUrls.set(assetPath, url);
     }
 
     if (assetPath === HISTORIC_FLAG_ASSET_PATH && url) {
       historicFlagImageUrl = url;
-      pendingHistoricFlagRequest.delete(HISTORIC_FLAG_ASSET_PATH);
       log("info", "Received historic flag image URL from Python", { url: url });
+      updateCarouselBadges();
 
       // Update the flag if it's currently active and we're in ChampSelect
       if (isInChampSelect && historicModeActive) {
@@ -385,6 +2163,19 @@
     handleHistoricSkinNameUpdate(data);
     const wasActive = historicModeActive;
     historicModeActive = data.active === true;
+    historicConfirmedActive = historicModeActive;
+    historicDetails = historicModeActive
+      ? {
+          name:
+            data.historicSkinName && data.historicSkinName !== "None"
+              ? data.historicSkinName
+              : null,
+          patch: data.historicPatch || null,
+          date: data.historicDate || null,
+          injectionReady: data.injectionReady === true,
+        }
+      : null;
+    refreshFlagTooltip();
 
     log("info", "Received historic state update", {
       active: historicModeActive,
@@ -392,6 +2183,9 @@
       historicSkinId: data.historicSkinId,
     });
 
+    renderHistoricToggle();
+    applyRememberedVariant(data);
+
     // Always update the flag when we receive a state update (even if state didn't change)
     // This ensures the flag is shown even if the element wasn't found initially
     // Use a small delay to ensure DOM is ready
@@ -407,10 +2201,69 @@
     }
   }
 
+  function handleHistoricAvailability(data) {
+    historicAvailableSkinIds = new Set(
+      data.skinIds.map((skinId) => Number(skinId)).filter((skinId) => skinId > 0)
+    );
+    log("debug", "Received historic availability", {
+      championId: data.championId,
+      count: historicAvailableSkinIds.size,
+    });
+    if (historicAvailableSkinIds.size > 0) {
+      requestHistoricFlagImage(); // Badges reuse the flag image
+    }
+    updateCarouselBadges();
+  }
+
+  // Carousel items carry no skin id attribute; the thumbnail URL ends in /<championId>/<skinId>.jpg
+  function getCarouselItemSkinId(item) {
+    const explicit = Number(item.getAttribute("data-skin-id"));
+    if (explicit) {
+      return explicit;
+    }
+    const thumbnail = item.querySelector(".skin-selection-thumbnail") || item;
+    const style = thumbnail.getAttribute("style") || "";
+    const match = style.match(/\/\d+\/(\d+)\.(?:jpg|jpeg|png|webp)/i);
+    return match ? Number(match[1]) : null;
+  }
+
+  // Idempotent: only adds or removes badges whose state is wrong, so re-renders stay cheap
+  function updateCarouselBadges() {
+    const showBadges =
+      isInChampSelect && historicAvailableSkinIds.size > 0 && historicFlagImageUrl;
+    const items = document.querySelectorAll(
+      ".skin-selection-carousel .skin-selection-item"
+    );
+
+    for (const item of items) {
+      const badge = item.querySelector(`:scope > .${CAROUSEL_BADGE_CLASS}`);
+      const wanted =
+        showBadges && historicAvailableSkinIds.has(getCarouselItemSkinId(item));
+
+      if (wanted && !badge) {
+        const newBadge = document.createElement("div");
+        newBadge.className = CAROUSEL_BADGE_CLASS;
+        newBadge.style.backgroundImage = `url("${historicFlagImageUrl}")`;
+        item.appendChild(newBadge);
+      } else if (!wanted && badge) {
+        badge.remove();
+      }
+    }
+  }
+
   function findRewardsElement() {
+    const { element } = locateRewardsElement();
+    if (!element && isInChampSelect) {
+      removeAllToasts();
+    }
+    return element;
+  }
+
+  // Side-effect free lookup; `strategy` names the selector that matched (for diagnostics)
+  function locateRewardsElement() {
     // Only try to find elements when in ChampSelect
     if (!isInChampSelect) {
-      return null;
+      return { element: null, strategy: null };
     }
 
     // Try to find the rewards element in the selected skin item first
@@ -422,14 +2275,14 @@
         ".skin-selection-item-information.loyalty-reward-icon--rewards"
       );
       if (info) {
-        return info;
+        return { element: info, strategy: "selected-item" };
       }
     }
 
     // Try direct selector
     const element = document.querySelector(REWARDS_SELECTOR);
     if (element) {
-      return element;
+      return { element: element, strategy: "direct-selector" };
     }
 
     // If not found, try to find it in the skin selection carousel
@@ -439,43 +2292,115 @@
       for (const item of items) {
         const info = item.querySelector(".skin-selection-item-information");
         if (info && info.classList.contains("loyalty-reward-icon--rewards")) {
-          return info;
+          return { element: info, strategy: "carousel-scan" };
         }
       }
     }
 
-    // Only log if we're actually in ChampSelect (to avoid spam before entering)
-    removeHistoricSkinName();
-    return null;
+    return { element: null, strategy: null };
   }
 
-  // Inject CSS styles for lol-uikit-dialog-frame
-  function injectDialogFrameStyles() {
-    const styleId = "rose-historic-mode-dialog-frame-styles";
-    if (document.getElementById(styleId)) {
-      return; // Styles already injected
-    }
-
-    const style = document.createElement("style");
-    style.id = styleId;
-    style.textContent = `
+  // Everything the toast looks like lives here, so switching theme only rewrites this sheet
+  function buildPopupStyles(theme) {
+    return `
+      #${SHOW_SKIN_NAME_ID} {
+        --champion-preview-hover-animation-percentage: 0%;
+        --column-height: 95px;
+        --font-display: "LoL Display","Times New Roman",Times,Baskerville,Georgia,serif;
+        --font-body: "LoL Body",Arial,"Helvetica Neue",Helvetica,sans-serif;
+        --plug-transform1: scale(1) rotate(0deg);
+        --plug-transform2: scale(1.075) rotate(1deg);
+        --plug-filter1: drop-shadow(0 0 0 rgb(66 60 40 / 0%));
+        --plug-filter2: drop-shadow(0 0 12px rgb(66 59 40 / 80%));
+        --plug-color1: #423828;
+        --plug-color2: #fcf0d7;
+        --plug-box-shadow1: 0 0 0 rgb(66 58 40 / 0%);
+        --plug-box-shadow2: 0 0 12px rgb(66 55 40 / 80%), inset 0 0 12px rgb(66 56 40 / 40%);
+        --plug-color-button: #857a72;
+        --plug-color-buttonDisabled: #72655a;
+        --plug-color-buttonHover: #a89d8f;
+        --plug-selected-item-border: 2px solid #7d644b;
+        --plug-selected-item-box-shadow: 0 0 10px rgb(194 129 68 / 50%);
+        --plug-smoothGlow-box-shadow0: 0 0 8px rgb(66 55 40 / 40%), 0 0 12px rgb(66 54 40 / 20%);
+        --plug-smoothGlow-box-shadow25: 0 0 10px rgb(66 55 40 / 50%), 0 0 16px rgb(66 57 40 / 10%), 0 0 30px rgb(66 55 40 / 20%);
+        --plug-smoothGlow-box-shadow50: 0 0 12px rgb(66 56 40 / 60%), 0 0 20px rgb(66 54 40 / 30%), 0 0 30px rgb(66 55 40 / 10%);
+        --plug-smoothGlow-box-shadow75: 0 0 10px rgb(66 55 40 / 50%), 0 0 16px rgb(66 56 40 / 10%), 0 0 30px rgb(66 54 40 / 20%);
+        --plug-smoothGlow-box-shadow100: 0 0 8px rgb(66 58 40 / 40%), 0 0 12px rgb(66 56 40 / 20%);
+        --plug-search-input-border: 1px solid #533e1c;
+        --plug-search-inputFocus-border-color: #81602b;
+        --plug-search-inputFocus-box-shadow: 0 0 10px rgba(84, 58, 96, 0.3);
+        --plug-jsbutton-color: #81602b;
+        --plug-soft-text-glow-kda1: rgb(255 155 0) 0px 0px 17px;
+        --plug-soft-text-glow-kda2: rgb(255 143 0 / 37%) 0px 0px 76px;
+        --plug-scrollable-color: #785a28;
+        background: transparent;
+        color: ${theme.textColor};
+        padding: 0;
+        margin: 0;
+        font-size: ${theme.fontSize};
+        line-height: ${theme.lineHeight};
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        gap: ${theme.gap};
+        max-width: ${theme.maxWidth};
+        width: auto;
+        box-sizing: border-box;
+      }
+      #${SHOW_SKIN_NAME_ID} .toast-body {
+        display: flex;
+        flex-direction: column;
+        justify-content: space-between;
+        box-sizing: border-box;
+        position: relative;
+        width: auto;
+        margin: 0 auto;
+      }
+      #${SHOW_SKIN_NAME_ID} .toast-content {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        width: 100%;
+      }
+      #${SHOW_SKIN_NAME_ID} .toast-content > .lol-uikit-dialog-frame {
+        position: relative;
+        display: inline-block;
+      }
+      #${SHOW_SKIN_NAME_ID} .lol-ready-check-notification-party-dodge {
+        -webkit-user-select: none;
+        position: relative;
+        background: transparent;
+        width: auto;
+        display: inline-block;
+        box-sizing: border-box;
+        padding-left: ${theme.paddingX};
+        padding-right: ${theme.paddingX};
+      }
+      #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame-sub-border {
+        -webkit-user-select: none;
+      }
+      #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame-sub-border > [data-pseudo] {
+        position: absolute;
+        display: block;
+      }
       #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.left,
       #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.right {
-        border: none;
+        border: ${theme.frameBorder};
       }
       #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.right {
-        border: none;
+        border: ${theme.frameBorder};
       }
       #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.top,
       #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.bottom {
-        border: none;
+        border: ${theme.frameBorder};
       }
       #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.top {
-        border: none;
+        border: ${theme.frameBorder};
       }
       #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.top.disabled,
       #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.bottom.disabled {
-        border: none;
+        border: ${theme.frameBorder};
       }
       #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.top.disabled > .lol-uikit-dialog-frame-sub-border::before,
       #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.bottom.disabled > .lol-uikit-dialog-frame-sub-border::before {
@@ -512,7 +2437,7 @@
       }
       #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.left.disabled,
       #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.right.disabled {
-        border: none;
+        border: ${theme.frameBorder};
       }
       #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.left.disabled > .lol-uikit-dialog-frame-sub-border::before,
       #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.right.disabled > .lol-uikit-dialog-frame-sub-border::before {
@@ -552,7 +2477,7 @@
       }
       #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame {
         position: relative;
-        background: #010a13;
+        background: ${theme.background};
         box-shadow: 0 0 0 1px rgba(1,10,19,0.48);
       }
       #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame::before {
@@ -562,7 +2487,7 @@
         height: calc(100% + 4px);
         top: -2px;
         left: -2px;
-        box-shadow: 0 0 10px 1px rgba(0,0,0,0.5);
+        box-shadow: ${theme.frameShadow};
         pointer-events: none;
       }
       #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame .lol-uikit-dialog-frame-sub-border::before,
@@ -623,7 +2548,7 @@
         position: absolute;
         top: 2px;
         right: 2px;
-        background: url("/fe/lol-uikit/images/close.png"), rgba(0,0,0,0.7);
+        background: url("/fe/lol-uikit/images/close.png"), ${theme.closeButtonColor};
         cursor: pointer;
         border-radius: 50%;
         background-size: 70% 70%, 100% 100%;
@@ -632,7 +2557,7 @@
         z-index: 10;
       }
       #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.dismissable-icon .lol-uikit-dialog-frame-toast-close-button:hover {
-        background: url("/fe/lol-uikit/images/close.png"), rgba(200,50,50,0.8);
+        background: url("/fe/lol-uikit/images/close.png"), ${theme.closeButtonHoverColor};
         background-size: 70% 70%, 100% 100%;
         background-position: center;
         background-repeat: no-repeat;
@@ -652,518 +2577,1735 @@
       #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.dismissable-icon.dismissable-icon-background .lol-uikit-dialog-frame-toast-close-button:hover {
         opacity: 1;
       }
-      #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.dismissable-close-button .lol-uikit-dialog-frame-close-button {
-        display: block;
+      #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.dismissable-close-button .lol-uikit-dialog-frame-close-button {
+        display: block;
+      }
+      #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.dismissable-close-button .lol-uikit-dialog-frame-close-button::before {
+        content: '';
+        position: absolute;
+        width: 38px;
+        height: 68px;
+        top: -22px;
+        right: -22px;
+        background-image: url("/fe/lol-uikit/images/frame-button-close-top-down.png");
+        background-size: 38px 68px;
+        pointer-events: none;
+      }
+      #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.dismissable-close-button .lol-uikit-dialog-frame-close-button lol-uikit-close-button {
+        display: block;
+        position: absolute;
+        top: -17px;
+        right: -17px;
+      }
+      ${theme.subBorders ? "" : `#${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame .lol-uikit-dialog-frame-sub-border { display: none; }`}
+    `;
+  }
+
+  // One sheet for the whole popup; re-rendered in place when the theme changes
+  function injectPopupStyles() {
+    let style = document.getElementById(POPUP_STYLE_ID);
+    if (!style) {
+      style = document.createElement("style");
+      style.id = POPUP_STYLE_ID;
+      document.head.appendChild(style);
+    }
+    style.textContent = buildPopupStyles(POPUP_THEMES[getSetting("popupTheme")]);
+  }
+
+  // Toasts already on screen pick the new rules up without being rebuilt
+  function setPopupTheme(themeId) {
+    updateSettings({ popupTheme: themeId });
+  }
+
+  // Find the same container as the random skin button to match stacking context
+  function findNamePanelContainer() {
+    // Only try to find container when in ChampSelect
+    if (!isInChampSelect) {
+      return null;
+    }
+
+    // Find the carousel container to match its stacking context (same as random skin button)
+    const carouselContainer = document.querySelector(".skin-selection-carousel-container");
+    if (carouselContainer) {
+      return carouselContainer;
+    }
+
+    // Fallback: find the carousel itself
+    const carousel = document.querySelector(".skin-selection-carousel");
+    if (carousel) {
+      return carousel;
+    }
+
+    // Last fallback: find the main champ select container and then div.visible
+    const mainContainer = document.querySelector(".champion-select-main-container");
+    if (mainContainer) {
+      const visibleDiv = mainContainer.querySelector("div.visible");
+      if (visibleDiv) {
+        return visibleDiv;
+      }
+    }
+
+    return null;
+  }
+
+  // The layer holds every toast and stacks them; it exists only while a toast is shown
+  function getToastLayer() {
+    const existing = document.getElementById(SHOW_SKIN_NAME_ID);
+    if (existing) {
+      return existing;
+    }
+
+    // Appearance comes from the popup stylesheet; only placement is set inline
+    injectPopupStyles();
+    // A previous layer may have been detached along with its container
+    stopPopupAnchoring();
+
+    // Create container
+    const layer = document.createElement("div");
+    layer.id = SHOW_SKIN_NAME_ID;
+
+    layer.style.zIndex = "0";
+
+    // Try to append to the same container as random skin button
+    const targetContainer = findNamePanelContainer();
+    if (targetContainer) {
+      // Ensure container has positioning context
+      const containerComputedStyle = window.getComputedStyle(targetContainer);
+      if (containerComputedStyle.position === 'static') {
+        targetContainer.style.position = 'relative';
+      }
+      targetContainer.appendChild(layer);
+    } else {
+      // Fallback: append to body if container not found
+      document.body.appendChild(layer);
+    }
+
+    // Position right away so the first frame is already in place, then follow layout changes
+    updatePopupPlacement();
+    startPopupAnchoring();
+    return layer;
+  }
+
+  function setPopupPlacement(placementId) {
+    updateSettings({ popupPlacement: placementId });
+  }
+
+  function resolveAboveCarousel() {
+    const carousel = document.querySelector(CAROUSEL_SELECTOR);
+    if (!carousel) {
+      return null;
+    }
+    const rect = carousel.getBoundingClientRect();
+    return {
+      anchor: carousel,
+      x: rect.left + rect.width / 2,
+      y: rect.top - POPUP_ANCHOR_GAP_PX,
+      transform: "translate(-50%, -100%)",
+    };
+  }
+
+  function resolveBelowChampionName() {
+    for (const selector of CHAMPION_NAME_SELECTORS) {
+      const name = document.querySelector(selector);
+      if (name) {
+        const rect = name.getBoundingClientRect();
+        return {
+          anchor: name,
+          x: rect.left + rect.width / 2,
+          y: rect.bottom + POPUP_ANCHOR_GAP_PX,
+          transform: "translate(-50%, 0)",
+        };
+      }
+    }
+    return resolveAboveCarousel();
+  }
+
+  function resolveCorner(vertical, horizontal) {
+    const right = horizontal === "right";
+    const bottom = vertical === "bottom";
+    return {
+      anchor: null,
+      x: right ? window.innerWidth - POPUP_EDGE_MARGIN_PX : POPUP_EDGE_MARGIN_PX,
+      y: bottom ? window.innerHeight - POPUP_EDGE_MARGIN_PX : POPUP_EDGE_MARGIN_PX,
+      transform: `translate(${right ? "-100%" : "0"}, ${bottom ? "-100%" : "0"})`,
+    };
+  }
+
+  // Where the popup used to sit: 10% + 265px above the bottom of the window
+  function resolveLegacyPlacement() {
+    return {
+      anchor: null,
+      x: window.innerWidth / 2,
+      y: window.innerHeight - (window.innerHeight * 0.1 + 265),
+      transform: "translate(-50%, 0)",
+    };
+  }
+
+  function updatePopupPlacement() {
+    const layer = document.getElementById(SHOW_SKIN_NAME_ID);
+    if (!layer || !layer.parentElement) {
+      return;
+    }
+    const point = POPUP_PLACEMENTS[getSetting("popupPlacement")].resolve() || resolveLegacyPlacement();
+
+    // Inside the carousel container the layer is absolute, so convert from viewport coordinates
+    let left = point.x;
+    let top = point.y;
+    if (layer.parentElement === document.body) {
+      layer.style.position = "fixed";
+    } else {
+      const containerRect = layer.parentElement.getBoundingClientRect();
+      left -= containerRect.left;
+      top -= containerRect.top;
+      layer.style.position = "absolute";
+    }
+    Object.assign(layer.style, {
+      left: `${left}px`,
+      top: `${top}px`,
+      bottom: "auto",
+      transform: point.transform,
+    });
+
+    // Follow the anchor's own size changes as well as the container's
+    if (popupResizeObserver && point.anchor !== popupObservedAnchor) {
+      if (popupObservedAnchor) {
+        popupResizeObserver.unobserve(popupObservedAnchor);
+      }
+      if (point.anchor) {
+        popupResizeObserver.observe(point.anchor);
+      }
+    }
+    popupObservedAnchor = point.anchor;
+  }
+
+  // Coalesce resize bursts into one placement update per animation frame
+  function schedulePopupPlacement() {
+    if (popupPlacementFrame !== null) {
+      return;
+    }
+    popupPlacementFrame = requestAnimationFrame(() => {
+      popupPlacementFrame = null;
+      updatePopupPlacement();
+    });
+  }
+
+  // Window resize also covers client zoom changes
+  function startPopupAnchoring() {
+    if (popupResizeObserver) {
+      return;
+    }
+    window.addEventListener("resize", schedulePopupPlacement);
+    popupResizeObserver = new ResizeObserver(schedulePopupPlacement);
+    const layer = document.getElementById(SHOW_SKIN_NAME_ID);
+    if (layer && layer.parentElement !== document.body) {
+      popupResizeObserver.observe(layer.parentElement);
+    }
+    if (popupObservedAnchor) {
+      popupResizeObserver.observe(popupObservedAnchor);
+    }
+  }
+
+  function stopPopupAnchoring() {
+    window.removeEventListener("resize", schedulePopupPlacement);
+    if (popupResizeObserver) {
+      popupResizeObserver.disconnect();
+      popupResizeObserver = null;
+    }
+    popupObservedAnchor = null;
+    if (popupPlacementFrame !== null) {
+      cancelAnimationFrame(popupPlacementFrame);
+      popupPlacementFrame = null;
+    }
+  }
+
+  // Build the client-styled toast markup; `onClose` runs when the user clicks the close button
+  function buildToastElement(text, onClose, content) {
+    // Create toast-body div
+    const toastBody = document.createElement("div");
+    toastBody.className = "toast-body";
+
+    // Create toast-content div
+    const toastContent = document.createElement("div");
+    toastContent.className = "toast-content";
+
+    // Create lol-uikit-dialog-frame wrapper
+    let dialogFrame;
+    try {
+      dialogFrame = document.createElement("lol-uikit-dialog-frame");
+      dialogFrame.className = "lol-uikit-dialog-frame top dismissable-icon";
+    } catch (e) {
+      dialogFrame = document.createElement("div");
+      dialogFrame.className = "lol-uikit-dialog-frame top dismissable-icon";
+    }
+
+    // Create lol-uikit-content-block element
+    let contentBlock;
+    try {
+      contentBlock = document.createElement("lol-uikit-content-block");
+      contentBlock.className = "lol-ready-check-notification-party-dodge";
+      contentBlock.setAttribute("type", "notification");
+    } catch (e) {
+      contentBlock = document.createElement("div");
+      contentBlock.className =
+        "lol-uikit-content-block lol-ready-check-notification-party-dodge";
+      contentBlock.setAttribute("type", "notification");
+    }
+
+    // Create paragraph with skin name (preserving case)
+    const pTag = document.createElement("p");
+    pTag.textContent = text;
+
+    // Create lol-uikit-dialog-frame-sub-border element
+    const subBorder = document.createElement("div");
+    subBorder.className = "lol-uikit-dialog-frame-sub-border";
+
+    // Create before pseudo-element
+    const beforeElement = document.createElement("div");
+    beforeElement.setAttribute("data-pseudo", "before");
+    subBorder.insertBefore(beforeElement, subBorder.firstChild);
+
+    // Create after pseudo-element
+    const afterElement = document.createElement("div");
+    afterElement.setAttribute("data-pseudo", "after");
+    subBorder.appendChild(afterElement);
+
+    // Close button — lets the user dismiss the popup and cancel injection
+    const closeBtn = document.createElement("div");
+    closeBtn.className = "lol-uikit-dialog-frame-toast-close-button";
+    closeBtn.addEventListener("click", onClose);
+
+    // Build the nested structure
+    contentBlock.appendChild(pTag);
+    if (content) {
+      contentBlock.appendChild(content);
+    }
+    dialogFrame.appendChild(contentBlock);
+    dialogFrame.appendChild(subBorder);
+    dialogFrame.appendChild(closeBtn);
+    toastContent.appendChild(dialogFrame);
+    toastBody.appendChild(toastContent);
+
+    return toastBody;
+  }
+
+  /**
+   * Show a toast, or update the text of the toast already shown for `source`.
+   * @param {{source: string, text: string, content?: Element, onDismiss?: function(object): void}} options
+   *   `content` is extra markup shown under the text (replaced on update);
+   *   `onDismiss` runs only when the user closes the toast, not on expiry or removal
+   * @returns {string} Id of the toast
+   */
+  function showToast({ source, text, content = null, onDismiss = null }) {
+    if (content) {
+      content.setAttribute("data-toast-content", "");
+    }
+
+    // The client may re-render the container holding the layer; rebuild instead of editing
+    // a detached node
+    let existing = findToastBySource(source);
+    if (existing && !existing.element.isConnected) {
+      removeToast(existing.id);
+      existing = null;
+    }
+    if (existing) {
+      const pTag = existing.element.querySelector("p");
+      if (pTag) {
+        pTag.textContent = text;
+        existing.element.querySelector("[data-toast-content]")?.remove();
+        if (content) {
+          pTag.after(content);
+        }
+      }
+      existing.onDismiss = onDismiss;
+      resetToastTimer(existing);
+      return existing.id;
+    }
+
+    toastCounter++;
+    const id = `${SHOW_SKIN_NAME_ID}-${source}-${toastCounter}`;
+    const element = buildToastElement(text, () => closeToast(id), content);
+    element.id = id;
+    element.setAttribute("data-source", source);
+
+    const toast = { id: id, source: source, element: element, timer: null, onDismiss: onDismiss };
+    toasts.set(id, toast);
+    getToastLayer().appendChild(element);
+    resetToastTimer(toast);
+
+    // Oldest toasts make room; they were not closed by the user, so nothing is sent
+    while (toasts.size > MAX_VISIBLE_TOASTS) {
+      removeToast(toasts.keys().next().value);
+    }
+    return id;
+  }
+
+  function resetToastTimer(toast) {
+    if (toast.timer) clearTimeout(toast.timer);
+    toast.timer = setTimeout(() => removeToast(toast.id), getSetting("popupLifetimeMs"));
+  }
+
+  function findToastBySource(source) {
+    for (const toast of toasts.values()) {
+      if (toast.source === source) {
+        return toast;
+      }
+    }
+    return null;
+  }
+
+  // User-initiated close: remove the toast and send its dismiss message
+  function closeToast(id) {
+    const toast = toasts.get(id);
+    if (!toast) return;
+    removeToast(id);
+    if (toast.onDismiss) {
+      toast.onDismiss(toast);
+    }
+  }
+
+  function removeToast(id) {
+    const toast = toasts.get(id);
+    if (!toast) return;
+    clearTimeout(toast.timer);
+    toast.element.remove();
+    toasts.delete(id);
+    if (toasts.size === 0) {
+      stopPopupAnchoring();
+      document.getElementById(SHOW_SKIN_NAME_ID)?.remove();
+    }
+  }
+
+  function removeToastsBySource(source) {
+    for (const toast of Array.from(toasts.values())) {
+      if (toast.source === source) {
+        removeToast(toast.id);
+      }
+    }
+  }
+
+  function removeAllToasts() {
+    Array.from(toasts.keys()).forEach(removeToast);
+  }
+
+  const handleHistoricSkinNameUpdate = (payload) => {
+    if (payload.historicSkinName && payload.historicSkinName !== "None") {
+      const candidates = payload.historicCandidates || [];
+      const skinId = Number(payload.skinId) || getViewedSkinId();
+      showToast({
+        source: "historic",
+        text: payload.historicSkinName,
+        // Several historic versions: the toast doubles as a picker
+        content:
+          candidates.length > 1 && skinId
+            ? buildVariantPicker(skinId, candidates, payload.historicSkinId)
+            : null,
+        onDismiss: () => {
+          // The flag goes right away; the toggle waits for Python's historic-state
+          historicModeActive = false;
+          updateHistoricFlag();
+          renderHistoricToggle();
+          sendDismiss("dismiss-historic");
+        },
+      });
+    } else {
+      removeToastsBySource("historic");
+    }
+  };
+
+  function loadVariantChoices() {
+    try {
+      const choices = JSON.parse(localStorage.getItem(VARIANT_CHOICES_STORAGE_KEY) || "{}");
+      return choices && typeof choices === "object" ? choices : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function rememberVariantChoice(skinId, variantId) {
+    const choices = loadVariantChoices();
+    choices[skinId] = variantId;
+    localStorage.setItem(VARIANT_CHOICES_STORAGE_KEY, JSON.stringify(choices));
+  }
+
+  // Resolves with a sanitized URL for a Python-served asset, or null if it cannot be loaded
+  function requestLocalAsset(assetPath) {
+    if (localAssetUrls.has(assetPath)) {
+      return Promise.resolve(localAssetUrls.get(assetPath));
+    }
+    return bridgeRequest(
+      { type: "request-local-asset", assetPath: assetPath, timestamp: Date.now() },
+      {
+        match: (reply) =>
+          reply.type === "local-asset-url" && reply.assetPath === assetPath,
+      }
+    )
+      // handleLocalAssetUrl has already validated and cached the reply by now
+      .then(() => localAssetUrls.get(assetPath) || null)
+      .catch((e) => {
+        log("debug", "Local asset request failed", { assetPath: assetPath, error: e.message });
+        return null;
+      });
+  }
+
+  function buildVariantPicker(skinId, candidates, selectedId) {
+    const picker = document.createElement("div");
+    picker.className = "rose-historic-picker";
+
+    candidates.forEach((candidate) => {
+      const option = document.createElement("div");
+      option.className = "rose-historic-picker-option";
+      option.setAttribute("role", "button");
+      if (String(candidate.id) === String(selectedId)) {
+        option.classList.add("selected");
       }
-      #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.dismissable-close-button .lol-uikit-dialog-frame-close-button::before {
-        content: '';
-        position: absolute;
-        width: 38px;
-        height: 68px;
-        top: -22px;
-        right: -22px;
-        background-image: url("/fe/lol-uikit/images/frame-button-close-top-down.png");
-        background-size: 38px 68px;
-        pointer-events: none;
+
+      const thumbnail = document.createElement("img");
+      thumbnail.className = "rose-historic-picker-thumbnail";
+      thumbnail.alt = "";
+      if (candidate.thumbnailAsset) {
+        requestLocalAsset(candidate.thumbnailAsset).then((url) => {
+          if (url) {
+            thumbnail.src = url;
+          }
+        });
       }
-      #${SHOW_SKIN_NAME_ID} .lol-uikit-dialog-frame.dismissable-close-button .lol-uikit-dialog-frame-close-button lol-uikit-close-button {
-        display: block;
-        position: absolute;
-        top: -17px;
-        right: -17px;
+
+      const label = document.createElement("span");
+      label.className = "rose-historic-picker-label";
+      label.textContent = candidate.patch
+        ? `${candidate.name} (${candidate.patch})`
+        : candidate.name;
+
+      option.appendChild(thumbnail);
+      option.appendChild(label);
+      option.addEventListener("click", () => {
+        rememberVariantChoice(skinId, candidate.id);
+        selectHistoricVariant(skinId, candidate.id);
+      });
+      picker.appendChild(option);
+    });
+    return picker;
+  }
+
+  function selectHistoricVariant(skinId, variantId) {
+    log("info", "Selecting historic variant", { skinId: skinId, historicSkinId: variantId });
+    // Python confirms with a historic-state carrying the new historicSkinId, which re-renders the picker
+    bridgeRequest(
+      {
+        type: "select-historic-variant",
+        skinId: skinId,
+        historicSkinId: variantId,
+        timestamp: Date.now(),
+      },
+      {
+        match: (reply) =>
+          isHistoricStateFor(reply, skinId) &&
+          String(reply.historicSkinId) === String(variantId),
       }
-    `;
-    document.head.appendChild(style);
+    ).catch((e) => {
+      log("warn", "Historic variant selection was not acknowledged by Python", {
+        skinId: skinId,
+        error: e.message,
+      });
+    });
   }
 
-  function showSkinName(skinName) {
-    const id = SHOW_SKIN_NAME_ID;
-    let text = skinName;
-    // If an element with the same id already exists, directly update the content and reset the timer
-    let popup = document.getElementById(id);
-    if (popup) {
-      const pTag = popup.querySelector("p");
-      if (pTag) {
-        pTag.textContent = text;
+  // Fallback reply match for backends that don't echo requestId: a push for another skin
+  // doesn't count (states without a skinId are taken as the viewed skin's)
+  function isHistoricStateFor(reply, skinId) {
+    return (
+      reply.type === "historic-state" &&
+      (reply.skinId == null || Number(reply.skinId) === Number(skinId))
+    );
+  }
+
+  // Python picks a default variant; re-apply the one the user chose last time for this skin
+  function applyRememberedVariant(data) {
+    const candidates = data.historicCandidates || [];
+    const skinId = Number(data.skinId) || getViewedSkinId();
+    if (!data.active || candidates.length < 2 || !skinId) {
+      return;
+    }
+
+    const remembered = loadVariantChoices()[skinId];
+    if (
+      remembered === undefined ||
+      String(remembered) === String(data.historicSkinId) ||
+      !candidates.some((candidate) => String(candidate.id) === String(remembered))
+    ) {
+      return;
+    }
+
+    // Only once per skin and variant, so a backend that refuses cannot cause a loop
+    const key = `${skinId}:${remembered}`;
+    if (autoSelectedVariants.has(key)) {
+      return;
+    }
+    autoSelectedVariants.add(key);
+    selectHistoricVariant(skinId, remembered);
+  }
+
+  function handleCustomModStateUpdate(data) {
+    if (data.active && data.modName) {
+      // Only show popup if the user is currently viewing the mod's target skin
+      const viewedSkinId = getViewedSkinId();
+      const modSkinId = data.skinId ? Number(data.skinId) : null;
+      if (modSkinId && viewedSkinId && modSkinId !== viewedSkinId) {
+        // User already navigated away — don't show popup
+        removeToastsBySource("custom-mod");
+        return;
       }
-      resetTimer(popup);
+      showToast({
+        source: "custom-mod",
+        text: data.modName,
+        onDismiss: () => sendDismiss("dismiss-custom-mod"),
+      });
+    } else {
+      removeToastsBySource("custom-mod");
+    }
+  }
+
+  function handleSkinStateUpdate(data) {
+    if (data.skinId != null) {
+      currentSkinId = Number(data.skinId);
+    }
+    // When the user hovers a different skin, hide the custom mod popup
+    removeToastsBySource("custom-mod");
+    renderHistoricToggle();
+  }
+
+  // Prefer the shared skin state published by Rose, fall back to our own skin-state tracking
+  function getViewedSkinId() {
+    return Number((window.__roseSkinState || {}).skinId || currentSkinId) || null;
+  }
+
+  // Toggle button next to the skin carousel; only touches the DOM when something changed
+  function renderHistoricToggle() {
+    let button = document.getElementById(HISTORIC_TOGGLE_ID);
+    const container = isInChampSelect && backendSupports("set-historic")
+      ? findNamePanelContainer()
+      : null;
+
+    if (!container) {
+      button?.remove();
       return;
     }
 
-    // Inject dialog frame styles
-    injectDialogFrameStyles();
+    if (!button || button.parentElement !== container) {
+      button?.remove();
+      button = document.createElement("div");
+      button.id = HISTORIC_TOGGLE_ID;
+      button.setAttribute("role", "button");
+      button.addEventListener("click", toggleHistoricMode);
+      container.appendChild(button);
+    }
 
-    // Create container
-    popup = document.createElement("div");
-    popup.id = id;
-
-    // Set styles
-    Object.assign(popup.style, {
-      position: "fixed",
-      bottom: "calc(10% + 215px)",
-      left: "50%",
-      transform: "translate(-50%, 0)",
-      zIndex: "0",
-      background: "transparent",
-      color: "#b2a580",
-      padding: "0",
-      margin: "0",
-      fontSize: "14px",
-      lineHeight: "1.4",
-      display: "flex",
-      alignItems: "center",
-      justifyContent: "center",
-      maxWidth: "300px",
-      width: "auto",
-      boxSizing: "border-box",
-    });
+    const label = historicConfirmedActive ? "Historic: On" : "Historic: Off";
+    if (button.textContent !== label) {
+      button.textContent = label;
+    }
+    const disabled = historicTogglePending || !getViewedSkinId();
+    button.classList.toggle("active", historicConfirmedActive);
+    button.classList.toggle("disabled", disabled);
+    button.setAttribute("aria-pressed", String(historicConfirmedActive));
+    button.title = disabled
+      ? "Waiting for skin selection"
+      : historicConfirmedActive
+        ? "Turn off historic mode for this skin"
+        : "Turn on historic mode for this skin";
+  }
 
-    // Create toast-body div
-    const toastBody = document.createElement("div");
-    toastBody.className = "toast-body";
-    Object.assign(toastBody.style, {
-      display: "flex",
-      flexDirection: "column",
-      justifyContent: "space-between",
-      boxSizing: "border-box",
-      position: "relative",
-      width: "auto",
-      margin: "0 auto",
-    });
+  function toggleHistoricMode() {
+    const skinId = getViewedSkinId();
+    if (!skinId || historicTogglePending) {
+      return;
+    }
 
-    // Create toast-content div
-    const toastContent = document.createElement("div");
-    toastContent.className = "toast-content";
-    Object.assign(toastContent.style, {
-      display: "flex",
-      alignItems: "center",
-      justifyContent: "center",
-      width: "100%",
-    });
+    historicTogglePending = true;
+    renderHistoricToggle();
 
-    // Create lol-uikit-dialog-frame wrapper
-    let dialogFrame;
-    try {
-      dialogFrame = document.createElement("lol-uikit-dialog-frame");
-      dialogFrame.className = "lol-uikit-dialog-frame top dismissable-icon";
-    } catch (e) {
-      dialogFrame = document.createElement("div");
-      dialogFrame.className = "lol-uikit-dialog-frame top dismissable-icon";
+    // The button only reflects the state Python confirms in its historic-state reply
+    const active = !historicConfirmedActive;
+    bridgeRequest(
+      {
+        type: "set-historic",
+        skinId: skinId,
+        active: active,
+        timestamp: Date.now(),
+      },
+      { match: (reply) => isHistoricStateFor(reply, skinId) && reply.active === active }
+    )
+      .catch((e) => {
+        log("warn", "Historic toggle was not acknowledged by Python", {
+          skinId: skinId,
+          error: e.message,
+        });
+      })
+      .finally(() => {
+        historicTogglePending = false;
+        renderHistoricToggle();
+      });
+  }
+
+  // Overlay panels and the key that toggles each one together with Ctrl+Shift
+  const OVERLAY_PANELS = [
+    { id: SETTINGS_PANEL_ID, code: "KeyH", open: openSettingsPanel, close: closeSettingsPanel },
+    { id: LOG_VIEWER_ID, code: "KeyL", open: openLogViewer, close: closeLogViewer },
+    {
+      id: DIAGNOSTICS_PANEL_ID,
+      code: "KeyD",
+      open: openDiagnosticsPanel,
+      close: closeDiagnosticsPanel,
+    },
+  ];
+
+  // The hotkeys work anywhere in the client; Escape closes only the topmost open panel
+  function handleOverlayHotkey(event) {
+    if (event.key === "Escape") {
+      // Panels share a z-index, so the one appended last is on top
+      const topmost = Array.from(document.body.children)
+        .reverse()
+        .map((element) => OVERLAY_PANELS.find((panel) => panel.id === element.id))
+        .find(Boolean);
+      topmost?.close();
+      return;
+    }
+    if (!event.ctrlKey || !event.shiftKey) {
+      return;
+    }
+    const panel = OVERLAY_PANELS.find((candidate) => candidate.code === event.code);
+    if (!panel) {
+      return;
+    }
+    event.preventDefault();
+    if (document.getElementById(panel.id)) {
+      panel.close();
+    } else {
+      panel.open();
+    }
+  }
+
+  function openSettingsPanel() {
+    if (document.getElementById(SETTINGS_PANEL_ID)) {
+      return;
+    }
+    const panel = document.createElement("div");
+    panel.id = SETTINGS_PANEL_ID;
+
+    const title = document.createElement("div");
+    title.className = "rose-historic-settings-title";
+    title.textContent = "Historic Mode settings";
+    panel.appendChild(title);
+
+    for (const [key, field] of Object.entries(SETTINGS_FIELDS)) {
+      const row = document.createElement("label");
+      const name = document.createElement("span");
+      name.textContent = field.label;
+
+      let control;
+      if (field.options) {
+        control = document.createElement("select");
+        for (const [optionId, option] of Object.entries(field.options)) {
+          const item = document.createElement("option");
+          item.value = optionId;
+          item.textContent = option.label;
+          control.appendChild(item);
+        }
+      } else if (field.type === "boolean") {
+        control = document.createElement("input");
+        control.type = "checkbox";
+      } else if (field.type === "list") {
+        control = document.createElement("input");
+        control.type = "text";
+        control.placeholder = "Comma-separated";
+      } else if (field.type === "secret") {
+        control = document.createElement("input");
+        control.type = "password";
+        control.placeholder = "Not paired";
+      } else {
+        control = document.createElement("input");
+        control.type = "number";
+        control.min = String(field.min);
+        control.max = String(field.max);
+        if (field.optional) {
+          control.placeholder = "Automatic";
+        }
+      }
+      control.setAttribute("data-setting", key);
+      control.addEventListener("change", () => commitSettingFromPanel(key, control));
+
+      row.appendChild(name);
+      row.appendChild(control);
+      panel.appendChild(row);
+    }
+
+    const error = document.createElement("div");
+    error.className = "rose-historic-settings-error";
+    panel.appendChild(error);
+
+    const actions = document.createElement("div");
+    actions.className = "rose-historic-settings-actions";
+    const resetButton = document.createElement("button");
+    resetButton.textContent = "Reset to defaults";
+    resetButton.addEventListener("click", resetSettings);
+    const closeButton = document.createElement("button");
+    closeButton.textContent = "Close";
+    closeButton.addEventListener("click", closeSettingsPanel);
+    actions.appendChild(resetButton);
+    actions.appendChild(closeButton);
+    panel.appendChild(actions);
+
+    document.body.appendChild(panel);
+    renderSettingsPanel();
+  }
+
+  function closeSettingsPanel() {
+    document.getElementById(SETTINGS_PANEL_ID)?.remove();
+  }
+
+  // Mirror the current settings into the open panel (no-op when it's closed)
+  function renderSettingsPanel(errorMessage = "") {
+    const panel = document.getElementById(SETTINGS_PANEL_ID);
+    if (!panel) {
+      return;
     }
-    Object.assign(dialogFrame.style, {
-      position: "relative",
-      display: "inline-block",
+    panel.querySelectorAll("[data-setting]").forEach((control) => {
+      const key = control.getAttribute("data-setting");
+      const value = getSetting(key);
+      if (SETTINGS_FIELDS[key].type === "boolean") {
+        control.checked = value;
+      } else if (SETTINGS_FIELDS[key].type === "list") {
+        control.value = value.join(", ");
+      } else if (SETTINGS_FIELDS[key].type === "secret") {
+        control.value = value || "";
+      } else {
+        control.value = value === null ? "" : String(value);
+      }
     });
+    panel.querySelector(".rose-historic-settings-error").textContent = errorMessage;
+  }
 
-    // Create lol-uikit-content-block element
-    let contentBlock;
+  function commitSettingFromPanel(key, control) {
+    const field = SETTINGS_FIELDS[key];
+    const raw = control.value.trim();
+    let value = raw;
+    if (field.type === "boolean") {
+      value = control.checked;
+    } else if (field.type === "list") {
+      value = raw.split(",");
+    } else if (field.type === "secret") {
+      value = raw || null;
+    } else if (!field.options) {
+      value = raw === "" ? null : Number(raw);
+    }
     try {
-      contentBlock = document.createElement("lol-uikit-content-block");
-      contentBlock.className = "lol-ready-check-notification-party-dodge";
-      contentBlock.setAttribute("type", "notification");
+      updateSettings({ [key]: value });
+      renderSettingsPanel();
     } catch (e) {
-      contentBlock = document.createElement("div");
-      contentBlock.className =
-        "lol-uikit-content-block lol-ready-check-notification-party-dodge";
-      contentBlock.setAttribute("type", "notification");
+      // Put the last valid value back and say why the new one was refused
+      renderSettingsPanel(e.message);
     }
+  }
 
-    // Set CSS custom properties
-    contentBlock.style.setProperty(
-      "--champion-preview-hover-animation-percentage",
-      "0%"
-    );
-    contentBlock.style.setProperty("--column-height", "95px");
-    contentBlock.style.setProperty(
-      "--font-display",
-      '"LoL Display","Times New Roman",Times,Baskerville,Georgia,serif'
-    );
-    contentBlock.style.setProperty(
-      "--font-body",
-      '"LoL Body",Arial,"Helvetica Neue",Helvetica,sans-serif'
-    );
-    contentBlock.style.setProperty(
-      "--plug-transform1",
-      "scale(1) rotate(0deg)"
-    );
-    contentBlock.style.setProperty(
-      "--plug-transform2",
-      "scale(1.075) rotate(1deg)"
-    );
-    contentBlock.style.setProperty(
-      "--plug-filter1",
-      "drop-shadow(0 0 0 rgb(66 60 40 / 0%))"
-    );
-    contentBlock.style.setProperty(
-      "--plug-filter2",
-      "drop-shadow(0 0 12px rgb(66 59 40 / 80%))"
-    );
-    contentBlock.style.setProperty("--plug-color1", "#423828");
-    contentBlock.style.setProperty("--plug-color2", "#fcf0d7");
-    contentBlock.style.setProperty(
-      "--plug-box-shadow1",
-      "0 0 0 rgb(66 58 40 / 0%)"
-    );
-    contentBlock.style.setProperty(
-      "--plug-box-shadow2",
-      "0 0 12px rgb(66 55 40 / 80%), inset 0 0 12px rgb(66 56 40 / 40%)"
-    );
-    contentBlock.style.setProperty("--plug-color-button", "#857a72");
-    contentBlock.style.setProperty("--plug-color-buttonDisabled", "#72655a");
-    contentBlock.style.setProperty("--plug-color-buttonHover", "#a89d8f");
-    contentBlock.style.setProperty(
-      "--plug-selected-item-border",
-      "2px solid #7d644b"
-    );
-    contentBlock.style.setProperty(
-      "--plug-selected-item-box-shadow",
-      "0 0 10px rgb(194 129 68 / 50%)"
-    );
-    contentBlock.style.setProperty(
-      "--plug-smoothGlow-box-shadow0",
-      "0 0 8px rgb(66 55 40 / 40%), 0 0 12px rgb(66 54 40 / 20%)"
-    );
-    contentBlock.style.setProperty(
-      "--plug-smoothGlow-box-shadow25",
-      "0 0 10px rgb(66 55 40 / 50%), 0 0 16px rgb(66 57 40 / 10%), 0 0 30px rgb(66 55 40 / 20%)"
-    );
-    contentBlock.style.setProperty(
-      "--plug-smoothGlow-box-shadow50",
-      "0 0 12px rgb(66 56 40 / 60%), 0 0 20px rgb(66 54 40 / 30%), 0 0 30px rgb(66 55 40 / 10%)"
-    );
-    contentBlock.style.setProperty(
-      "--plug-smoothGlow-box-shadow75",
-      "0 0 10px rgb(66 55 40 / 50%), 0 0 16px rgb(66 56 40 / 10%), 0 0 30px rgb(66 54 40 / 20%)"
-    );
-    contentBlock.style.setProperty(
-      "--plug-smoothGlow-box-shadow100",
-      "0 0 8px rgb(66 58 40 / 40%), 0 0 12px rgb(66 56 40 / 20%)"
-    );
-    contentBlock.style.setProperty(
-      "--plug-search-input-border",
-      "1px solid #533e1c"
-    );
-    contentBlock.style.setProperty(
-      "--plug-search-inputFocus-border-color",
-      "#81602b"
-    );
-    contentBlock.style.setProperty(
-      "--plug-search-inputFocus-box-shadow",
-      "0 0 10px rgba(84, 58, 96, 0.3)"
-    );
-    contentBlock.style.setProperty("--plug-jsbutton-color", "#81602b");
-    contentBlock.style.setProperty(
-      "--plug-soft-text-glow-kda1",
-      "rgb(255 155 0) 0px 0px 17px"
-    );
-    contentBlock.style.setProperty(
-      "--plug-soft-text-glow-kda2",
-      "rgb(255 143 0 / 37%) 0px 0px 76px"
-    );
-    contentBlock.style.setProperty("--plug-scrollable-color", "#785a28");
-
-    // Set regular CSS properties
-    Object.assign(contentBlock.style, {
-      WebkitUserSelect: "none",
-      position: "relative",
-      background: "transparent",
-      width: "auto",
-      display: "inline-block",
-      boxSizing: "border-box",
-      paddingLeft: "25px",
-      paddingRight: "25px",
-    });
+  function openLogViewer() {
+    if (document.getElementById(LOG_VIEWER_ID)) {
+      return;
+    }
+    const viewer = document.createElement("div");
+    viewer.id = LOG_VIEWER_ID;
 
-    // Create paragraph with skin name (preserving case)
-    const pTag = document.createElement("p");
-    pTag.textContent = text;
+    const toolbar = document.createElement("div");
+    toolbar.className = "rose-historic-log-toolbar";
 
-    // Create lol-uikit-dialog-frame-sub-border element
-    const subBorder = document.createElement("div");
-    subBorder.className = "lol-uikit-dialog-frame-sub-border";
+    const levelFilter = document.createElement("select");
+    levelFilter.className = "rose-historic-log-level";
+    for (const [level, option] of Object.entries(LOG_LEVEL_OPTIONS)) {
+      if (level === "off") continue;
+      const item = document.createElement("option");
+      item.value = level;
+      item.textContent = `${option.label} and above`;
+      levelFilter.appendChild(item);
+    }
+    levelFilter.addEventListener("change", renderLogViewer);
 
-    // Set CSS custom properties
-    subBorder.style.setProperty(
-      "--champion-preview-hover-animation-percentage",
-      "0%"
-    );
-    subBorder.style.setProperty("--column-height", "95px");
-    subBorder.style.setProperty(
-      "--font-display",
-      '"LoL Display","Times New Roman",Times,Baskerville,Georgia,serif'
-    );
-    subBorder.style.setProperty(
-      "--font-body",
-      '"LoL Body",Arial,"Helvetica Neue",Helvetica,sans-serif'
-    );
-    subBorder.style.setProperty("--plug-transform1", "scale(1) rotate(0deg)");
-    subBorder.style.setProperty(
-      "--plug-transform2",
-      "scale(1.075) rotate(1deg)"
-    );
-    subBorder.style.setProperty(
-      "--plug-filter1",
-      "drop-shadow(0 0 0 rgb(66 60 40 / 0%))"
-    );
-    subBorder.style.setProperty(
-      "--plug-filter2",
-      "drop-shadow(0 0 12px rgb(66 59 40 / 80%))"
-    );
-    subBorder.style.setProperty("--plug-color1", "#423828");
-    subBorder.style.setProperty("--plug-color2", "#fcf0d7");
-    subBorder.style.setProperty(
-      "--plug-box-shadow1",
-      "0 0 0 rgb(66 58 40 / 0%)"
-    );
-    subBorder.style.setProperty(
-      "--plug-box-shadow2",
-      "0 0 12px rgb(66 55 40 / 80%), inset 0 0 12px rgb(66 56 40 / 40%)"
-    );
-    subBorder.style.setProperty("--plug-color-button", "#857a72");
-    subBorder.style.setProperty("--plug-color-buttonDisabled", "#72655a");
-    subBorder.style.setProperty("--plug-color-buttonHover", "#a89d8f");
-    subBorder.style.setProperty(
-      "--plug-selected-item-border",
-      "2px solid #7d644b"
-    );
-    subBorder.style.setProperty(
-      "--plug-selected-item-box-shadow",
-      "0 0 10px rgb(194 129 68 / 50%)"
-    );
-    subBorder.style.setProperty(
-      "--plug-smoothGlow-box-shadow0",
-      "0 0 8px rgb(66 55 40 / 40%), 0 0 12px rgb(66 54 40 / 20%)"
-    );
-    subBorder.style.setProperty(
-      "--plug-smoothGlow-box-shadow25",
-      "0 0 10px rgb(66 55 40 / 50%), 0 0 16px rgb(66 57 40 / 10%), 0 0 30px rgb(66 55 40 / 20%)"
-    );
-    subBorder.style.setProperty(
-      "--plug-smoothGlow-box-shadow50",
-      "0 0 12px rgb(66 56 40 / 60%), 0 0 20px rgb(66 54 40 / 30%), 0 0 30px rgb(66 55 40 / 10%)"
-    );
-    subBorder.style.setProperty(
-      "--plug-smoothGlow-box-shadow75",
-      "0 0 10px rgb(66 55 40 / 50%), 0 0 16px rgb(66 56 40 / 10%), 0 0 30px rgb(66 54 40 / 20%)"
-    );
-    subBorder.style.setProperty(
-      "--plug-smoothGlow-box-shadow100",
-      "0 0 8px rgb(66 58 40 / 40%), 0 0 12px rgb(66 56 40 / 20%)"
-    );
-    subBorder.style.setProperty(
-      "--plug-search-input-border",
-      "1px solid #533e1c"
-    );
-    subBorder.style.setProperty(
-      "--plug-search-inputFocus-border-color",
-      "#81602b"
-    );
-    subBorder.style.setProperty(
-      "--plug-search-inputFocus-box-shadow",
-      "0 0 10px rgba(84, 58, 96, 0.3)"
-    );
-    subBorder.style.setProperty("--plug-jsbutton-color", "#81602b");
-    subBorder.style.setProperty(
-      "--plug-soft-text-glow-kda1",
-      "rgb(255 155 0) 0px 0px 17px"
-    );
-    subBorder.style.setProperty(
-      "--plug-soft-text-glow-kda2",
-      "rgb(255 143 0 / 37%) 0px 0px 76px"
-    );
-    subBorder.style.setProperty("--plug-scrollable-color", "#785a28");
+    const textFilter = document.createElement("input");
+    textFilter.className = "rose-historic-log-search";
+    textFilter.type = "search";
+    textFilter.placeholder = "Filter";
+    textFilter.addEventListener("input", renderLogViewer);
+
+    const copyButton = document.createElement("button");
+    copyButton.textContent = "Copy";
+    copyButton.addEventListener("click", copyVisibleLogEntries);
+    const clearButton = document.createElement("button");
+    clearButton.textContent = "Clear";
+    clearButton.addEventListener("click", clearLogEntries);
+    const closeButton = document.createElement("button");
+    closeButton.textContent = "Close";
+    closeButton.addEventListener("click", closeLogViewer);
 
-    // Set regular CSS properties (subBorder will be styled by CSS rules)
-    Object.assign(subBorder.style, {
-      WebkitUserSelect: "none",
+    toolbar.appendChild(levelFilter);
+    toolbar.appendChild(textFilter);
+    toolbar.appendChild(copyButton);
+    toolbar.appendChild(clearButton);
+    toolbar.appendChild(closeButton);
+
+    const list = document.createElement("div");
+    list.className = "rose-historic-log-list";
+
+    viewer.appendChild(toolbar);
+    viewer.appendChild(list);
+    document.body.appendChild(viewer);
+    renderLogViewer();
+  }
+
+  function closeLogViewer() {
+    if (logViewerFrame !== null) {
+      cancelAnimationFrame(logViewerFrame);
+      logViewerFrame = null;
+    }
+    document.getElementById(LOG_VIEWER_ID)?.remove();
+  }
+
+  // Entries can arrive in bursts: re-render the open viewer at most once per frame
+  function scheduleLogViewerRender() {
+    if (logViewerFrame !== null || !document.getElementById(LOG_VIEWER_ID)) {
+      return;
+    }
+    logViewerFrame = requestAnimationFrame(() => {
+      logViewerFrame = null;
+      renderLogViewer();
     });
+  }
 
-    // Create before pseudo-element
-    const beforeElement = document.createElement("div");
-    beforeElement.setAttribute("data-pseudo", "before");
-    Object.assign(beforeElement.style, {
-      position: "absolute",
-      display: "block",
-      content: '""',
+  function getVisibleLogEntries(viewer) {
+    const minLevel = LOG_LEVELS[viewer.querySelector(".rose-historic-log-level").value];
+    const search = viewer.querySelector(".rose-historic-log-search").value.trim().toLowerCase();
+    return getLogEntries().filter(
+      (entry) =>
+        LOG_LEVELS[entry.level] >= minLevel &&
+        (!search || formatLogEntry(entry).toLowerCase().includes(search))
+    );
+  }
+
+  function renderLogViewer() {
+    const viewer = document.getElementById(LOG_VIEWER_ID);
+    if (!viewer) {
+      return;
+    }
+    const list = viewer.querySelector(".rose-historic-log-list");
+    // Stay pinned to the newest entry unless the user scrolled up to read
+    const pinned = list.scrollTop + list.clientHeight >= list.scrollHeight - 4;
+
+    list.textContent = "";
+    for (const entry of getVisibleLogEntries(viewer)) {
+      const line = document.createElement("div");
+      line.className = `rose-historic-log-entry ${entry.level}`;
+      line.textContent = formatLogEntry(entry);
+      list.appendChild(line);
+    }
+    if (pinned) {
+      list.scrollTop = list.scrollHeight;
+    }
+  }
+
+  function copyVisibleLogEntries() {
+    const viewer = document.getElementById(LOG_VIEWER_ID);
+    if (!viewer) {
+      return;
+    }
+    const text = getVisibleLogEntries(viewer).map(formatLogEntry).join("\n");
+    navigator.clipboard.writeText(text).catch((e) => {
+      log("warn", "Failed to copy logs to the clipboard", { error: e.message });
     });
-    subBorder.insertBefore(beforeElement, subBorder.firstChild);
+  }
 
-    // Create after pseudo-element
-    const afterElement = document.createElement("div");
-    afterElement.setAttribute("data-pseudo", "after");
-    Object.assign(afterElement.style, {
-      position: "absolute",
-      display: "block",
-      content: '""',
+  /**
+   * Snapshot of everything needed to tell why the flag or popup isn't showing.
+   * Plain data so it can be pasted into a bug report as JSON.
+   */
+  function collectDiagnostics() {
+    const now = Date.now();
+    const rewards = locateRewardsElement();
+    const lastMessages = {};
+    lastInboundMessages.forEach(({ receivedAt, payload }, type) => {
+      lastMessages[type] = {
+        receivedAt: new Date(receivedAt).toISOString(),
+        ageMs: now - receivedAt,
+        payload: payload,
+      };
     });
-    subBorder.appendChild(afterElement);
+    const socketStates = ["connecting", "open", "closing", "closed"];
+
+    return {
+      generatedAt: new Date(now).toISOString(),
+      pluginVersion: PLUGIN_VERSION,
+      bridge: {
+        port: BRIDGE_PORT,
+        discoverySource: bridgeDiscoverySource,
+        state: bridgeState,
+        socket: bridgeSocket ? socketStates[bridgeSocket.readyState] : "none",
+        authenticated: bridgeReady,
+        paired: bridgePaired,
+        backendVersion: backendInfo ? backendInfo.version : null,
+        msSinceLastPong: heartbeatTimer ? now - lastPongAt : null,
+      },
+      queue: {
+        control: bridgeOutbox.control.length,
+        log: bridgeOutbox.log.length,
+        logBatch: logBatch.entries.length,
+      },
+      lastMessages: lastMessages,
+      historic: {
+        isInChampSelect: isInChampSelect,
+        historicModeActive: historicModeActive,
+        flagImageLoaded: Boolean(historicFlagImageUrl),
+        currentSkinId: currentSkinId,
+      },
+      rewardsElement: {
+        found: Boolean(rewards.element),
+        strategy: rewards.strategy,
+        flagApplied: Boolean(
+          rewards.element && rewards.element.classList.contains("lu-historic-flag-active")
+        ),
+      },
+      recorder: {
+        enabled: getSetting("recorderEnabled"),
+        entries: trafficRecording.length,
+      },
+    };
+  }
+
+  function openDiagnosticsPanel() {
+    if (document.getElementById(DIAGNOSTICS_PANEL_ID)) {
+      return;
+    }
+    const panel = document.createElement("div");
+    panel.id = DIAGNOSTICS_PANEL_ID;
+
+    const title = document.createElement("div");
+    title.className = "rose-historic-diagnostics-title";
+    title.textContent = "Historic Mode diagnostics";
+
+    const body = document.createElement("div");
+    body.className = "rose-historic-diagnostics-body";
+
+    const actions = document.createElement("div");
+    actions.className = "rose-historic-diagnostics-actions";
+    const copyButton = document.createElement("button");
+    copyButton.textContent = "Copy report";
+    copyButton.addEventListener("click", copyDiagnosticsReport);
+    const exportButton = document.createElement("button");
+    exportButton.textContent = "Export recording";
+    exportButton.addEventListener("click", exportTrafficRecording);
+    const closeButton = document.createElement("button");
+    closeButton.textContent = "Close";
+    closeButton.addEventListener("click", closeDiagnosticsPanel);
+    actions.appendChild(copyButton);
+    actions.appendChild(exportButton);
+    actions.appendChild(closeButton);
+
+    panel.appendChild(title);
+    panel.appendChild(body);
+    panel.appendChild(actions);
+    document.body.appendChild(panel);
+
+    renderDiagnosticsPanel();
+    // Ages and socket state change on their own, so refresh while the overlay is open
+    diagnosticsTimer = setInterval(renderDiagnosticsPanel, DIAGNOSTICS_REFRESH_MS);
+  }
+
+  function closeDiagnosticsPanel() {
+    clearInterval(diagnosticsTimer);
+    diagnosticsTimer = null;
+    document.getElementById(DIAGNOSTICS_PANEL_ID)?.remove();
+  }
+
+  function renderDiagnosticsPanel() {
+    const body = document.getElementById(DIAGNOSTICS_PANEL_ID)?.querySelector(
+      ".rose-historic-diagnostics-body"
+    );
+    if (!body) {
+      return;
+    }
+    const report = collectDiagnostics();
+    const sections = [
+      ["Bridge", report.bridge],
+      ["Queued messages", report.queue],
+      ["Historic state", report.historic],
+      ["Rewards element", report.rewardsElement],
+      ["Traffic recorder", report.recorder],
+      [
+        "Last message per type",
+        Object.fromEntries(
+          Object.entries(report.lastMessages).map(([type, entry]) => [
+            type,
+            `${(entry.ageMs / 1000).toFixed(1)}s ago`,
+          ])
+        ),
+      ],
+    ];
+
+    body.textContent = "";
+    for (const [heading, values] of sections) {
+      const header = document.createElement("div");
+      header.className = "rose-historic-diagnostics-section";
+      header.textContent = heading;
+      body.appendChild(header);
+      for (const [label, value] of Object.entries(values)) {
+        const row = document.createElement("div");
+        row.className = "rose-historic-diagnostics-row";
+        const name = document.createElement("span");
+        name.textContent = label;
+        const shown = document.createElement("span");
+        shown.textContent = value === null || value === undefined ? "—" : String(value);
+        row.appendChild(name);
+        row.appendChild(shown);
+        body.appendChild(row);
+      }
+    }
+  }
 
-    // Close button — lets the user dismiss the popup and cancel injection
-    const closeBtn = document.createElement("div");
-    closeBtn.className = "lol-uikit-dialog-frame-toast-close-button";
-    closeBtn.addEventListener("click", () => {
-      removeHistoricSkinName();
-      dismissActivePopup();
+  function copyDiagnosticsReport() {
+    const text = JSON.stringify(collectDiagnostics(), null, 2);
+    navigator.clipboard.writeText(text).catch((e) => {
+      log("warn", "Failed to copy diagnostics to the clipboard", { error: e.message });
     });
+  }
 
-    // Build the nested structure
-    contentBlock.appendChild(pTag);
-    dialogFrame.appendChild(contentBlock);
-    dialogFrame.appendChild(subBorder);
-    dialogFrame.appendChild(closeBtn);
-    toastContent.appendChild(dialogFrame);
-    toastBody.appendChild(toastContent);
+  function startTrafficRecording() {
+    trafficRecording = [];
+    recordingStartedAt = Date.now();
+    // Starting point, so a replay knows the state the first message landed in
+    recordTraffic("state", {
+      event: "recording-started",
+      bridgeState: bridgeState,
+      isInChampSelect: isInChampSelect,
+      historicModeActive: historicModeActive,
+      currentSkinId: currentSkinId,
+    });
+    log("info", "Bridge traffic recording started");
+  }
 
-    popup.appendChild(toastBody);
+  // Recordings are opt-in: turning the recorder off also discards what it captured
+  function stopTrafficRecording() {
+    trafficRecording = [];
+    recordingStartedAt = null;
+    log("info", "Bridge traffic recording stopped");
+  }
 
-    // Find the same container as the random skin button to match stacking context
-    function findNamePanelContainer() {
-      // Only try to find container when in ChampSelect
-      if (!isInChampSelect) {
-        return null;
-      }
+  function recordTraffic(direction, payload, extra) {
+    if (!getSetting("recorderEnabled")) {
+      return;
+    }
+    trafficRecording.push({
+      t: Date.now(),
+      dir: direction,
+      payload: redactValue(payload, getSetting("recorderRedactionRules"), []),
+      ...extra,
+    });
+    if (trafficRecording.length > RECORDER_MAX_ENTRIES) {
+      trafficRecording.shift();
+    }
+  }
 
-      // Find the carousel container to match its stacking context (same as random skin button)
-      const carouselContainer = document.querySelector(".skin-selection-carousel-container");
-      if (carouselContainer) {
-        return carouselContainer;
-      }
+  function matchesRedactionRule(path, rule) {
+    if (!rule.includes(".")) {
+      return path[path.length - 1] === rule;
+    }
+    const segments = rule.split(".");
+    return (
+      segments.length === path.length &&
+      segments.every((segment, index) => segment === "*" || segment === path[index])
+    );
+  }
 
-      // Fallback: find the carousel itself
-      const carousel = document.querySelector(".skin-selection-carousel");
-      if (carousel) {
-        return carousel;
+  // Deep copy of `value` with every field matched by a rule replaced
+  function redactValue(value, rules, path) {
+    if (path.length > 0 && rules.some((rule) => matchesRedactionRule(path, rule))) {
+      return REDACTED_VALUE;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => redactValue(item, rules, path.concat(String(index))));
+    }
+    if (value && typeof value === "object") {
+      const copy = {};
+      for (const [key, item] of Object.entries(value)) {
+        copy[key] = redactValue(item, rules, path.concat(key));
       }
+      return copy;
+    }
+    return value;
+  }
 
-      // Last fallback: find the main champ select container and then div.visible
-      const mainContainer = document.querySelector(".champion-select-main-container");
-      if (mainContainer) {
-        const visibleDiv = mainContainer.querySelector("div.visible");
-        if (visibleDiv) {
-          return visibleDiv;
-        }
-      }
+  function getTrafficRecording() {
+    return trafficRecording.slice();
+  }
 
-      return null;
+  function exportTrafficRecording() {
+    if (trafficRecording.length === 0) {
+      log("warn", "Nothing to export: enable the traffic recorder in settings first");
+      return;
     }
+    const header = {
+      recording: "rose-historic",
+      version: RECORDING_FORMAT_VERSION,
+      pluginVersion: PLUGIN_VERSION,
+      startedAt: new Date(recordingStartedAt).toISOString(),
+      exportedAt: new Date().toISOString(),
+      redactionRules: getSetting("recorderRedactionRules"),
+      bridgePort: BRIDGE_PORT, // Asset URLs in the recording point at this port
+    };
+    const lines = [header, ...trafficRecording].map((entry) => JSON.stringify(entry));
+    const blob = new Blob([lines.join("\n") + "\n"], { type: "application/x-ndjson" });
+    const url = URL.createObjectURL(blob);
 
-    // Try to append to the same container as random skin button
-    const targetContainer = findNamePanelContainer();
-    if (targetContainer) {
-      // Ensure container has positioning context
-      const containerComputedStyle = window.getComputedStyle(targetContainer);
-      if (containerComputedStyle.position === 'static') {
-        targetContainer.style.position = 'relative';
-      }
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `rose-historic-${header.exportedAt.replace(/[:.]/g, "-")}.jsonl`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    log("info", "Bridge traffic recording exported", { entries: trafficRecording.length });
+  }
+
+  function isSimulatorRequested() {
+    return (
+      getSetting("simulatorEnabled") ||
+      new URLSearchParams(window.location.search).has(SIMULATOR_URL_FLAG)
+    );
+  }
 
-      // Get container's position relative to viewport
-      const containerRect = targetContainer.getBoundingClientRect();
+  function startSimulator() {
+    if (simulator) {
+      return;
+    }
+    simulator = { socket: null, outbound: [], waiters: new Set() };
+    log("info", "Simulator mode active: the Python bridge will not be contacted");
+  }
+
+  function stopSimulator() {
+    if (!simulator) {
+      return;
+    }
+    simulator = null; // Running scripts notice and stop; pending expectations time out
+    log("info", "Simulator mode stopped");
+  }
 
-      // Calculate position relative to container (convert from fixed to absolute)
-      // The original position is: bottom: calc(10% + 350px), left: 50%
-      const viewportHeight = window.innerHeight;
-      const bottomOffset = viewportHeight * 0.1 + 265; // 10% + 265px
-      const topPosition = viewportHeight - bottomOffset;
+  // Stands in for the WebSocket: the same fields and callbacks setupBridgeSocket relies on
+  function createSimulatedSocket() {
+    const session = simulator;
+    const socket = {
+      readyState: WebSocket.CONNECTING,
+      bufferedAmount: 0,
+      onopen: null,
+      onmessage: null,
+      onerror: null,
+      onclose: null,
+      send(data) {
+        captureSimulatedOutbound(session, socket, JSON.parse(data));
+      },
+      close() {
+        if (socket.readyState === WebSocket.CLOSED) {
+          return;
+        }
+        socket.readyState = WebSocket.CLOSED;
+        setTimeout(() => socket.onclose && socket.onclose(), 0);
+      },
+    };
+    session.socket = socket;
+    bridgeDiscoverySource = "simulator";
+    setTimeout(() => {
+      if (socket.readyState !== WebSocket.CONNECTING) return;
+      socket.readyState = WebSocket.OPEN;
+      socket.onopen && socket.onopen();
+    }, 0);
+    return socket;
+  }
 
-      // Update styles for absolute positioning relative to container
-      popup.style.position = "absolute";
-      popup.style.bottom = "auto";
-      popup.style.top = `${topPosition - containerRect.top}px`;
-      popup.style.left = "50%";
-      popup.style.transform = "translate(-50%, 0)";
+  function captureSimulatedOutbound(session, socket, payload) {
+    if (simulator !== session || session.socket !== socket) {
+      return;
+    }
+    session.outbound.push({ t: Date.now(), payload: payload, consumed: false });
+    if (session.outbound.length > SIMULATOR_MAX_OUTBOUND) {
+      session.outbound.shift();
+    }
 
-      targetContainer.appendChild(popup);
-    } else {
-      // Fallback: append to body if container not found
-      document.body.appendChild(popup);
+    // Answer what the real backend answers on its own, so scripts only describe the session
+    if (payload.type === "hello") {
+      setTimeout(() => {
+        deliverSimulatedMessage({
+          type: "hello-ack",
+          authenticated: true,
+          version: "simulator",
+          protocolVersion: BRIDGE_PROTOCOL_VERSION,
+          capabilities: PLUGIN_CAPABILITIES,
+        });
+      }, 0);
+    } else if (payload.type === "ping") {
+      setTimeout(() => {
+        deliverSimulatedMessage({ type: "pong", pingId: payload.pingId, timestamp: Date.now() });
+      }, 0);
     }
 
-    // Auto close timer
-    resetTimer(popup);
+    session.waiters.forEach((check) => check());
+  }
 
-    function resetTimer(el) {
-      if (el._timer) clearTimeout(el._timer);
-      el._timer = setTimeout(() => el.remove(), 125000); // Remove after 125 seconds
+  // Goes through the socket's onmessage, so parsing and validation run exactly as live
+  function deliverSimulatedMessage(payload) {
+    const socket = simulator && simulator.socket;
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      log("warn", "Simulator socket is not open, dropping scripted message", {
+        type: payload && payload.type,
+      });
+      return false;
     }
+    socket.onmessage({ data: JSON.stringify(payload) });
+    return true;
   }
 
-  const handleHistoricSkinNameUpdate = (payload) => {
-    if (payload.historicSkinName && payload.historicSkinName !== "None") {
-      showSkinName(payload.historicSkinName);
-    } else {
-      removeHistoricSkinName();
+  function matchesExpectation(payload, expected) {
+    return Object.entries(expected).every(
+      ([key, value]) => JSON.stringify(payload[key]) === JSON.stringify(value)
+    );
+  }
+
+  // Resolves to the first unconsumed outbound message since `since` matching `expected`, or null
+  function waitForSimulatedOutbound(session, expected, since, timeoutMs) {
+    return new Promise((resolve) => {
+      const finish = (result) => {
+        clearTimeout(timer);
+        session.waiters.delete(check);
+        resolve(result);
+      };
+      const check = () => {
+        const entry = session.outbound.find(
+          (candidate) =>
+            !candidate.consumed &&
+            candidate.t >= since &&
+            matchesExpectation(candidate.payload, expected)
+        );
+        if (!entry) {
+          return false;
+        }
+        entry.consumed = true;
+        finish(entry.payload);
+        return true;
+      };
+      const timer = setTimeout(() => finish(null), timeoutMs);
+      if (!check()) {
+        session.waiters.add(check);
+      }
+    });
+  }
+
+  /**
+   * Run a scripted timeline against the simulated bridge. Steps run in order, each after
+   * its `delay` (ms, relative to the previous step):
+   *   { delay, message: {...} }            delivered as if Python had sent it
+   *   { delay, expect: {...}, timeoutMs }  waits for an outbound message with these fields
+   * `bridgePort` stands in for the discovered port, so asset URLs from that port are accepted.
+   * @param {{name?: string, bridgePort?: number, steps: Array<Object>}|Array<Object>} script
+   * @returns {Promise<{name: ?string, passed: boolean, results: Array<Object>}>}
+   */
+  async function runSimulatorScript(script) {
+    const session = simulator;
+    if (!session) {
+      throw new Error("Simulator mode is not active");
+    }
+    const steps = Array.isArray(script) ? script : script && script.steps;
+    if (!Array.isArray(steps)) {
+      throw new TypeError("Simulator script needs a steps array");
+    }
+    if (script && Number.isInteger(script.bridgePort)) {
+      BRIDGE_PORT = script.bridgePort;
     }
-  };
 
-  function handleCustomModStateUpdate(data) {
-    if (data.active && data.modName) {
-      // Only show popup if the user is currently viewing the mod's target skin
-      const currentSkinId = Number((window.__roseSkinState || {}).skinId);
-      const modSkinId = data.skinId ? Number(data.skinId) : null;
-      if (modSkinId && currentSkinId && modSkinId !== currentSkinId) {
-        // User already navigated away — don't show popup
-        customModPopupActive = false;
-        removeHistoricSkinName();
-        return;
+    // Scripts usually start at load, before the simulated handshake has completed
+    const readyBy = Date.now() + HANDSHAKE_TIMEOUT_MS;
+    while (!bridgeReady && simulator === session && Date.now() < readyBy) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    const startedAt = Date.now();
+    const results = [];
+    for (const [index, step] of steps.entries()) {
+      await new Promise((resolve) => setTimeout(resolve, step.delay || 0));
+      if (simulator !== session) {
+        log("warn", "Simulator stopped mid-script", { step: index });
+        break;
+      }
+      if (step.message) {
+        deliverSimulatedMessage(step.message);
+      }
+      if (step.expect) {
+        const matched = await waitForSimulatedOutbound(
+          session,
+          step.expect,
+          startedAt,
+          step.timeoutMs ?? SIMULATOR_EXPECT_TIMEOUT_MS
+        );
+        results.push({ step: index, expect: step.expect, passed: matched !== null });
+        if (!matched) {
+          log("error", "Simulator expectation failed", { step: index, expect: step.expect });
+        }
       }
-      customModPopupActive = true;
-      showSkinName(data.modName);
-    } else {
-      customModPopupActive = false;
-      removeHistoricSkinName();
     }
+
+    const report = {
+      name: (script && script.name) || null,
+      passed: results.every((result) => result.passed),
+      results: results,
+    };
+    log(report.passed ? "info" : "error", "Simulator script finished", {
+      name: report.name,
+      expectations: results.length,
+      failed: results.filter((result) => !result.passed).length,
+    });
+    return report;
   }
 
-  function handleSkinStateUpdate(data) {
-    // When the user hovers a different skin, hide the custom mod popup
-    if (customModPopupActive) {
-      customModPopupActive = false;
-      removeHistoricSkinName();
+  // Turns an exported JSONL recording into a script of its inbound messages
+  function parseTrafficRecording(text) {
+    const lines = text
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+    const header = lines[0];
+    if (!header || header.recording !== "rose-historic") {
+      throw new TypeError("Not a ROSE-HistoricMode traffic recording");
     }
-  }
-  function removeHistoricSkinName() {
-    document.getElementById(SHOW_SKIN_NAME_ID)?.remove();
+    if (header.version > RECORDING_FORMAT_VERSION) {
+      throw new TypeError(`Unsupported recording version ${header.version}`);
+    }
+
+    const steps = [];
+    let previousAt = null;
+    for (const entry of lines.slice(1)) {
+      if (
+        entry.dir !== "in" ||
+        entry.malformed ||
+        SIMULATOR_REPLAY_SKIPPED_TYPES.has(entry.payload.type)
+      ) {
+        continue;
+      }
+      const delay = previousAt === null ? 0 : Math.min(entry.t - previousAt, SIMULATOR_REPLAY_MAX_DELAY_MS);
+      previousAt = entry.t;
+      steps.push({ delay: Math.max(delay, 0), message: entry.payload });
+    }
+    return { name: `Replay of ${header.startedAt}`, bridgePort: header.bridgePort, steps: steps };
   }
 
-  function dismissActivePopup() {
-    // Send the right dismiss message depending on what triggered the popup
-    const msgType = customModPopupActive ? "dismiss-custom-mod" : "dismiss-historic";
-    customModPopupActive = false;
-    historicModeActive = false;
+  function replayTrafficRecording(text) {
+    return runSimulatorScript(parseTrafficRecording(text));
+  }
 
-    if (bridgeReady && bridgeSocket && bridgeSocket.readyState === WebSocket.OPEN) {
-      bridgeSocket.send(JSON.stringify({ type: msgType, timestamp: Date.now() }));
-    } else {
-      bridgeQueue.push(JSON.stringify({ type: msgType, timestamp: Date.now() }));
+  // Either a JSON script or a JSONL recording
+  async function runSimulatorScriptFromUrl(url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const text = await response.text();
+      let script;
+      try {
+        script = JSON.parse(text);
+      } catch (e) {
+        script = parseTrafficRecording(text);
+      }
+      await runSimulatorScript(script);
+    } catch (e) {
+      log("error", "Failed to run simulator script", { url: url, error: e.message });
     }
   }
+
+  function sendDismiss(msgType) {
+    // Python answers a dismiss with the updated state message. Without an echoed
+    // requestId only an inactive state counts, not any unrelated push of that type
+    const replyType =
+      msgType === "dismiss-custom-mod" ? "custom-mod-state" : "historic-state";
+    bridgeRequest(
+      { type: msgType, timestamp: Date.now() },
+      { match: (reply) => reply.type === replyType && reply.active === false }
+    ).catch((e) => {
+      log("warn", "Dismiss was not acknowledged by Python", {
+        type: msgType,
+        error: e.message,
+      });
+    });
+  }
   function requestHistoricFlagImage() {
     // Request historic flag image from Python (same way as Elementalist Lux icons)
     if (
-      !historicFlagImageUrl &&
-      !pendingHistoricFlagRequest.has(HISTORIC_FLAG_ASSET_PATH)
+      historicFlagImageUrl ||
+      historicFlagRequest ||
+      !backendSupports("request-local-asset")
     ) {
-      pendingHistoricFlagRequest.set(HISTORIC_FLAG_ASSET_PATH, true);
+      return;
+    }
 
-      const payload = {
+    log("debug", "Requesting historic flag image from Python", {
+      assetPath: HISTORIC_FLAG_ASSET_PATH,
+    });
+
+    // The reply itself is applied by handleLocalAssetUrl; this only tracks the request
+    historicFlagRequest = bridgeRequest(
+      {
         type: "request-local-asset",
         assetPath: HISTORIC_FLAG_ASSET_PATH,
         timestamp: Date.now(),
-      };
-
-      log("debug", "Requesting historic flag image from Python", {
-        assetPath: HISTORIC_FLAG_ASSET_PATH,
+      },
+      {
+        match: (reply) =>
+          reply.type === "local-asset-url" &&
+          reply.assetPath === HISTORIC_FLAG_ASSET_PATH,
+      }
+    )
+      .catch((e) => {
+        // Clearing the request below lets the next flag update ask again
+        log("warn", "Historic flag image request failed", { error: e.message });
+      })
+      .finally(() => {
+        historicFlagRequest = null;
       });
+  }
 
-      if (
-        bridgeReady &&
-        bridgeSocket &&
-        bridgeSocket.readyState === WebSocket.OPEN
-      ) {
-        bridgeSocket.send(JSON.stringify(payload));
-      } else {
-        bridgeQueue.push(JSON.stringify(payload));
+  /**
+   * Shared registry of badges on the rewards element, published as
+   * `window.__roseBadgeRegistry` so every Rose flag plugin can coexist on one element.
+   * The first plugin to load (or the one with the newest version) creates it.
+   * @returns {{version: number, register: function(Element, object): void,
+   *   unregister: function(Element, string): void, list: function(Element): object[]}}
+   */
+  function getBadgeRegistry() {
+    const existing = window.__roseBadgeRegistry;
+    if (existing && existing.version >= BADGE_REGISTRY_VERSION) {
+      return existing;
+    }
+    window.__roseBadgeRegistry = createBadgeRegistry();
+    return window.__roseBadgeRegistry;
+  }
+
+  function createBadgeRegistry() {
+    const badgesByElement = new WeakMap(); // element -> Map(badge id -> badge)
+    const writtenStyles = new WeakMap(); // element -> Map(property -> value last set here)
+    // Badge artwork; a legacy plugin sharing the element sets these too, with its own values
+    const IMAGE_PROPERTIES = ["background-image", "background-position", "background-size"];
+    const OWNED_PROPERTIES = [
+      "background-image",
+      "background-repeat",
+      "background-size",
+      "background-position",
+      "height",
+      "width",
+      "position",
+      "right",
+      "top",
+      "pointer-events",
+      "cursor",
+      "-webkit-user-select",
+      "list-style-type",
+      "content",
+    ];
+
+    function setImportant(element, property, value) {
+      element.style.setProperty(property, value, "important");
+      if (!writtenStyles.has(element)) {
+        writtenStyles.set(element, new Map());
+      }
+      writtenStyles.get(element).set(property, element.style.getPropertyValue(property));
+    }
+
+    // Plugins that predate the registry mark the element with a "lu-*-flag-active" class
+    function hasUnregisteredFlag(element) {
+      return Array.from(element.classList).some((className) =>
+        /^lu-.+-flag-active$/.test(className)
+      );
+    }
+
+    function render(element) {
+      const badges = Array.from((badgesByElement.get(element) || new Map()).values())
+        .sort((a, b) => b.priority - a.priority);
+
+      if (badges.length === 0) {
+        element.removeAttribute("data-rose-badges");
+        if (hasUnregisteredFlag(element)) {
+          // Drop our image but leave the shared layout to the plugin still using it. Whatever
+          // the legacy plugin re-set after us (e.g. background-size: contain) keeps its value.
+          const written = writtenStyles.get(element) || new Map();
+          IMAGE_PROPERTIES.forEach((property) => {
+            if (
+              written.has(property) &&
+              element.style.getPropertyValue(property) === written.get(property)
+            ) {
+              element.style.removeProperty(property);
+            }
+          });
+          writtenStyles.delete(element);
+          return;
+        }
+        OWNED_PROPERTIES.forEach((property) => element.style.removeProperty(property));
+        writtenStyles.delete(element);
+        // Explicitly hide the element (rewards icon is usually hidden by default)
+        setImportant(element, "display", "none");
+        setImportant(element, "visibility", "hidden");
+        setImportant(element, "opacity", "0");
+        return;
       }
+
+      // The highest priority badge sets the layout and sits on top at the anchored corner;
+      // the others fan out to its left
+      const { size, offsetX, offsetY } = badges[0];
+      const step = Math.round(size * 0.6);
+      const width = size + step * (badges.length - 1);
+
+      setImportant(element, "display", "block");
+      setImportant(element, "visibility", "visible");
+      setImportant(element, "opacity", "1");
+      const image = badges.map((badge) => `url("${badge.image}")`).join(", ");
+      setImportant(element, "background-image", image);
+      setImportant(
+        element,
+        "background-position",
+        badges.map((badge, index) => `${width - size - index * step}px 0`).join(", ")
+      );
+      setImportant(element, "background-size", badges.map(() => `${size}px ${size}px`).join(", "));
+      setImportant(element, "background-repeat", "no-repeat");
+      setImportant(element, "height", `${size}px`);
+      setImportant(element, "width", `${width}px`);
+      setImportant(element, "position", "absolute");
+      setImportant(element, "right", `${offsetX}px`);
+      setImportant(element, "top", `${offsetY}px`);
+      setImportant(element, "pointer-events", "none");
+      setImportant(element, "cursor", "default");
+      setImportant(element, "-webkit-user-select", "none");
+      setImportant(element, "list-style-type", "none");
+      setImportant(element, "content", " ");
+      element.setAttribute("data-rose-badges", badges.map((badge) => badge.id).join(" "));
+    }
+
+    return {
+      version: BADGE_REGISTRY_VERSION,
+      register(element, { id, image, priority = 0, size = 32, offsetX = -14, offsetY = -14 }) {
+        let badges = badgesByElement.get(element);
+        if (!badges) {
+          badges = new Map();
+          badgesByElement.set(element, badges);
+        }
+        badges.set(id, { id, image, priority, size, offsetX, offsetY });
+        render(element);
+      },
+      unregister(element, id) {
+        const badges = badgesByElement.get(element);
+        if (badges) {
+          badges.delete(id);
+        }
+        render(element);
+      },
+      list(element) {
+        return Array.from((badgesByElement.get(element) || new Map()).values());
+      },
+    };
+  }
+
+  function startCarouselObservation() {
+    if (carouselWatchdog) {
+      return;
+    }
+    ensureCarouselObserver();
+    carouselWatchdog = setInterval(ensureCarouselObserver, CAROUSEL_WATCHDOG_INTERVAL_MS);
+  }
+
+  function stopCarouselObservation() {
+    clearInterval(carouselWatchdog);
+    carouselWatchdog = null;
+    if (carouselObserver) {
+      carouselObserver.disconnect();
+    }
+    observedCarousel = null;
+    if (carouselFrame !== null) {
+      cancelAnimationFrame(carouselFrame);
+      carouselFrame = null;
+    }
+    lastSelectedItem = null;
+    lastFlagStateKey = null;
+  }
+
+  // Attach to the carousel once it exists, and again whenever the client replaces it
+  function ensureCarouselObserver() {
+    if (observedCarousel && observedCarousel.isConnected) {
+      return;
+    }
+    if (carouselObserver) {
+      carouselObserver.disconnect();
+    }
+    observedCarousel = document.querySelector(CAROUSEL_SELECTOR);
+    if (!observedCarousel) {
+      return;
+    }
+
+    if (!carouselObserver) {
+      carouselObserver = new MutationObserver(() => scheduleCarouselUpdate(false));
+    }
+    // Class changes are how the client marks the selected skin
+    carouselObserver.observe(observedCarousel, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ["class"],
+    });
+    scheduleCarouselUpdate(true);
+  }
+
+  // Coalesce bursts of mutations into at most one update per animation frame
+  function scheduleCarouselUpdate(force) {
+    carouselUpdateForced = carouselUpdateForced || force;
+    if (carouselFrame !== null) {
+      return;
+    }
+    carouselFrame = requestAnimationFrame(() => {
+      carouselFrame = null;
+      const forced = carouselUpdateForced;
+      carouselUpdateForced = false;
+      runCarouselUpdate(forced);
+    });
+  }
+
+  function runCarouselUpdate(force) {
+    if (!isInChampSelect) {
+      return;
+    }
+    // The carousel re-renders during champ select: keep the toggle and badges attached
+    renderHistoricToggle();
+    updateCarouselBadges();
+    // The carousel can move without resizing; keep the popup attached to it
+    if (toasts.size > 0) {
+      schedulePopupPlacement();
+    }
+
+    // Skip the flag when neither the selected item nor the flag state changed
+    const selectedItem = observedCarousel
+      ? observedCarousel.querySelector(".skin-selection-item.skin-selection-item-selected")
+      : null;
+    const flagStateKey = `${historicModeActive}|${historicFlagImageUrl}`;
+    if (
+      !force &&
+      selectedItem === lastSelectedItem &&
+      flagStateKey === lastFlagStateKey &&
+      (!currentRewardsElement || currentRewardsElement.isConnected)
+    ) {
+      return;
+    }
+    lastSelectedItem = selectedItem;
+    lastFlagStateKey = flagStateKey;
+
+    // Only try to update if historic mode is active (or a stale flag needs hiding)
+    if (historicModeActive || currentRewardsElement) {
+      updateHistoricFlag();
     }
   }
 
@@ -1182,11 +4324,12 @@
         return;
       }
       log("debug", "Rewards element not found, will retry");
-      // Retry after a short delay (max 5 retries to avoid infinite loop)
+      // Retry after a short delay (bounded by the retry setting to avoid an infinite loop)
       if (!updateHistoricFlag._retryCount) {
         updateHistoricFlag._retryCount = 0;
       }
-      if (updateHistoricFlag._retryCount < 5) {
+      const retryLimit = getSetting("flagRetryLimit");
+      if (updateHistoricFlag._retryCount < retryLimit) {
         updateHistoricFlag._retryCount++;
         setTimeout(() => {
           if (isInChampSelect) {
@@ -1197,7 +4340,7 @@
           }
         }, 500);
       } else {
-        log("warn", "Rewards element not found after 5 retries, giving up");
+        log("warn", `Rewards element not found after ${retryLimit} retries, giving up`);
         updateHistoricFlag._retryCount = 0; // Reset for next attempt
       }
       return;
@@ -1214,13 +4357,6 @@
 
     currentRewardsElement = element;
 
-    // Check element visibility (no logging to reduce spam)
-    const computedStyle = window.getComputedStyle(element);
-    const isVisible =
-      computedStyle.display !== "none" &&
-      computedStyle.visibility !== "hidden" &&
-      computedStyle.opacity !== "0";
-
     if (historicModeActive) {
       // Request image if we don't have it yet
       if (!historicFlagImageUrl) {
@@ -1229,30 +4365,18 @@
         return;
       }
 
-      // Force element to be visible (rewards icon is usually hidden)
-      element.style.setProperty("display", "block", "important");
-      element.style.setProperty("visibility", "visible", "important");
-      element.style.setProperty("opacity", "1", "important");
-
-      // Apply the image URL from Python
+      // Apply the image URL from Python; the registry owns every style on the element
       element.classList.add("lu-historic-flag-active");
-      element.style.setProperty(
-        "background-image",
-        `url("${historicFlagImageUrl}")`,
-        "important"
-      );
-      element.style.setProperty("background-repeat", "no-repeat", "important");
-      element.style.setProperty("background-size", "contain", "important");
-      element.style.setProperty("height", "32px", "important");
-      element.style.setProperty("width", "32px", "important");
-      element.style.setProperty("position", "absolute", "important");
-      element.style.setProperty("right", "-14px", "important");
-      element.style.setProperty("top", "-14px", "important");
-      element.style.setProperty("pointer-events", "none", "important");
-      element.style.setProperty("cursor", "default", "important");
-      element.style.setProperty("-webkit-user-select", "none", "important");
-      element.style.setProperty("list-style-type", "none", "important");
-      element.style.setProperty("content", " ", "important");
+      getBadgeRegistry().register(element, {
+        id: HISTORIC_BADGE_ID,
+        image: historicFlagImageUrl,
+        priority: HISTORIC_BADGE_PRIORITY,
+        size: getSetting("flagSizePx"),
+        offsetX: getSetting("flagOffsetXPx"),
+        offsetY: getSetting("flagOffsetYPx"),
+      });
+
+      attachFlagTooltip(element);
 
       log("info", "Historic flag shown on rewards element", {
         url: historicFlagImageUrl,
@@ -1266,74 +4390,181 @@
     }
   }
 
-  function hideFlagOnElement(element) {
-    if (!element) return;
+  // The hitbox covers the flag, so it follows the flag size and offset settings
+  function applyHitboxGeometry(hitbox) {
+    const size = getSetting("flagSizePx");
+    Object.assign(hitbox.style, {
+      width: `${size}px`,
+      height: `${size}px`,
+      right: `${getSetting("flagOffsetXPx")}px`,
+      top: `${getSetting("flagOffsetYPx")}px`,
+    });
+  }
 
-    // Only remove our flag class
-    element.classList.remove("lu-historic-flag-active");
+  // The flag itself keeps `pointer-events: none` (shared with other flag plugins), so hovering
+  // is handled by a transparent sibling laid over it
+  function attachFlagTooltip(element) {
+    const parent = element.parentElement;
+    if (!parent || parent.querySelector(`:scope > .${FLAG_HITBOX_CLASS}`)) {
+      return;
+    }
+    const hitbox = document.createElement("div");
+    hitbox.className = FLAG_HITBOX_CLASS;
+    applyHitboxGeometry(hitbox);
+    hitbox.addEventListener("mouseenter", () => showFlagTooltip(hitbox));
+    hitbox.addEventListener("mouseleave", hideFlagTooltip);
+    parent.appendChild(hitbox);
+  }
+
+  function detachFlagTooltip(element) {
+    element.parentElement?.querySelector(`:scope > .${FLAG_HITBOX_CLASS}`)?.remove();
+    hideFlagTooltip();
+  }
+
+  function showFlagTooltip(hitbox) {
+    if (!historicDetails) {
+      return;
+    }
+    let tooltip = document.getElementById(FLAG_TOOLTIP_ID);
+    if (!tooltip) {
+      tooltip = document.createElement("div");
+      tooltip.id = FLAG_TOOLTIP_ID;
+      document.body.appendChild(tooltip);
+    }
+    tooltip._anchor = hitbox;
+    renderFlagTooltip(tooltip);
+
+    // Centered above the flag
+    const rect = hitbox.getBoundingClientRect();
+    tooltip.style.left = `${rect.left + rect.width / 2}px`;
+    tooltip.style.top = `${rect.top - 6}px`;
+  }
+
+  function hideFlagTooltip() {
+    document.getElementById(FLAG_TOOLTIP_ID)?.remove();
+  }
 
-    // Check if random flag is active - if so, don't remove shared styles
-    const hasRandomFlag = element.classList.contains("lu-random-flag-active");
-
-    if (!hasRandomFlag) {
-      // No other flag is active - safe to remove all styles
-      element.style.removeProperty("background-image");
-      element.style.removeProperty("background-repeat");
-      element.style.removeProperty("background-size");
-      element.style.removeProperty("height");
-      element.style.removeProperty("width");
-      element.style.removeProperty("position");
-      element.style.removeProperty("right");
-      element.style.removeProperty("top");
-      element.style.removeProperty("pointer-events");
-      element.style.removeProperty("cursor");
-      element.style.removeProperty("-webkit-user-select");
-      element.style.removeProperty("list-style-type");
-      element.style.removeProperty("content");
-      // Explicitly hide the element (rewards icon is usually hidden by default)
-      element.style.setProperty("display", "none", "important");
-      element.style.setProperty("visibility", "hidden", "important");
-      element.style.setProperty("opacity", "0", "important");
+  // Keep an open tooltip in sync with historic-state updates
+  function refreshFlagTooltip() {
+    const tooltip = document.getElementById(FLAG_TOOLTIP_ID);
+    if (!tooltip) {
+      return;
+    }
+    if (historicDetails && tooltip._anchor && tooltip._anchor.isConnected) {
+      renderFlagTooltip(tooltip);
     } else {
-      // Random flag is active - only remove our background image, keep shared styles
-      // Check if the background-image is ours (contains historic_flag.png)
-      const bgImage = element.style.getPropertyValue("background-image");
-      if (bgImage && bgImage.includes("historic_flag.png")) {
-        element.style.removeProperty("background-image");
-      }
-      // Don't remove other styles as random flag needs them
+      hideFlagTooltip();
+    }
+  }
+
+  function renderFlagTooltip(tooltip) {
+    const title = document.createElement("div");
+    title.className = "rose-historic-tooltip-title";
+    title.textContent = historicDetails.name || "Historic mode";
+
+    const origin = document.createElement("div");
+    if (historicDetails.patch && historicDetails.date) {
+      origin.textContent = `Visuals from patch ${historicDetails.patch} (${historicDetails.date})`;
+    } else if (historicDetails.patch) {
+      origin.textContent = `Visuals from patch ${historicDetails.patch}`;
+    } else if (historicDetails.date) {
+      origin.textContent = `Visuals from ${historicDetails.date}`;
     }
+
+    const status = document.createElement("div");
+    status.className = "rose-historic-tooltip-status";
+    status.classList.toggle("ready", historicDetails.injectionReady);
+    status.textContent = historicDetails.injectionReady
+      ? "Ready to inject"
+      : "Preparing injection…";
+
+    tooltip.replaceChildren(title, ...(origin.textContent ? [origin] : []), status);
+  }
+
+  function hideFlagOnElement(element) {
+    if (!element) return;
+
+    // Only remove our flag; badges registered by other plugins stay in place
+    element.classList.remove("lu-historic-flag-active");
+    detachFlagTooltip(element);
+    getBadgeRegistry().unregister(element, HISTORIC_BADGE_ID);
   }
 
   async function init() {
     log("info", "Initializing LU-HistoricMode plugin");
 
-    // Load bridge port before initializing socket
-    await loadBridgePort();
+    // Public surface for other Rose plugins
+    window.__roseHistoricMode = {
+      version: PLUGIN_VERSION,
+      getBridgeState: () => bridgeState,
+      onBridgeStateChange: onBridgeStateChange,
+      // Round-trip samples plus time since the last pong: slow backend vs. dead backend
+      getLatencySamples: () => latencySamples.slice(),
+      getMsSinceLastPong: () => (heartbeatTimer ? Date.now() - lastPongAt : null),
+      getUnknownMessageCounts: () => Object.fromEntries(unknownMessageCounts),
+      getBridgePort: () => ({ port: BRIDGE_PORT, source: bridgeDiscoverySource }),
+      setBridgePortOverride: setBridgePortOverride,
+      setDiscoveryPortRange: setDiscoveryPortRange,
+      getPopupThemes: () =>
+        Object.entries(POPUP_THEMES).map(([id, theme]) => ({ id: id, label: theme.label })),
+      getPopupTheme: () => getSetting("popupTheme"),
+      setPopupTheme: setPopupTheme,
+      getPopupPlacements: () =>
+        Object.entries(POPUP_PLACEMENTS).map(([id, placement]) => ({ id: id, label: placement.label })),
+      getPopupPlacement: () => getSetting("popupPlacement"),
+      setPopupPlacement: setPopupPlacement,
+      getSettings: getSettings,
+      updateSettings: updateSettings,
+      resetSettings: resetSettings,
+      onSettingsChange: onSettingsChange,
+      openSettings: openSettingsPanel,
+      getLogEntries: getLogEntries,
+      openLogViewer: openLogViewer,
+      getDiagnostics: collectDiagnostics,
+      openDiagnostics: openDiagnosticsPanel,
+      getTrafficRecording: getTrafficRecording,
+      exportTrafficRecording: exportTrafficRecording,
+      runSimulatorScript: runSimulatorScript,
+      replayTrafficRecording: replayTrafficRecording,
+      getSimulatedOutbound: () =>
+        simulator ? simulator.outbound.map((entry) => entry.payload) : [],
+    };
+
+    // Publish the shared badge registry early so other flag plugins can use it right away
+    getBadgeRegistry();
+
+    // Settings come first: discovery, popups and the flag all read them
+    loadSettings();
+    onSettingsChange(applySettingsChange);
+    if (getSetting("recorderEnabled")) {
+      startTrafficRecording();
+    }
+    document.addEventListener("keydown", handleOverlayHotkey);
+
+    // Control messages queued before a reload still need to reach Python
+    restoreOutbox();
 
     // Ensure historic mode starts as inactive
     historicModeActive = false;
+    historicConfirmedActive = false;
 
     // Inject CSS
     const style = document.createElement("style");
     style.textContent = CSS_RULES;
     document.head.appendChild(style);
+    injectPopupStyles();
 
-    // Setup WebSocket bridge
-    setupBridgeSocket();
-
-    // Watch for DOM changes to find rewards element (only when in ChampSelect)
-    const observer = new MutationObserver(() => {
-      // Only try to update if in ChampSelect and historic mode is active
-      if (isInChampSelect && historicModeActive) {
-        updateHistoricFlag();
-      }
-    });
+    // Discover the bridge port and connect (the state machine handles retries)
+    if (isSimulatorRequested()) {
+      startSimulator();
+    }
+    connectBridge();
+    const simulatorScriptUrl = new URLSearchParams(window.location.search).get(SIMULATOR_URL_FLAG);
+    if (simulator && simulatorScriptUrl) {
+      runSimulatorScriptFromUrl(simulatorScriptUrl);
+    }
 
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true,
-    });
+    // DOM observation starts with the ChampSelect phase-change (see startCarouselObservation)
 
     // Request historic flag image on init (for when it's needed)
     requestHistoricFlagImage();